@@ -1,5 +1,165 @@
 // ====== 設定 ======
-const CDP_VERSION = "1.3";
+importScripts("settings.js", "format.js");
+
+// 非同期スタックトレースを遡る最大の深さ
+const ASYNC_STACK_DEPTH = 8;
+
+/**
+ * 現在有効な設定（デフォルト値は settings.js の DEFAULT_SETTINGS）
+ */
+let settings = mergeSettings();
+
+/**
+ * 設定をChromeストレージから読み込む
+ */
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.sync.get(['settings']);
+    settings = mergeSettings(result.settings);
+  } catch (error) {
+    console.error('設定の読み込みに失敗しました:', error);
+  }
+}
+
+/**
+ * 変更された設定を反映
+ * 
+ * 拡張機能を再読み込みせずに、アタッチ中のタブのドメイン・履歴の件数・バッジに反映する。
+ * CDPのバージョンは次回のアタッチから有効になる。
+ * 
+ * @param {Object} newSettings - 新しい設定
+ */
+function applySettings(newSettings) {
+  const previous = settings;
+  settings = newSettings;
+
+  tabStates.forEach((tabState, tabId) => {
+    if (tabState.errorHistory.length > settings.historySize) {
+      tabState.errorHistory.splice(0, tabState.errorHistory.length - settings.historySize);
+    }
+    if (tabState.attached && tabState.session &&
+        previous.enabledDomains.join() !== settings.enabledDomains.join()) {
+      updateDomains(tabState.session, previous.enabledDomains, settings.enabledDomains);
+      for (const sessionId of childTargets.get(tabId)?.keys() || []) {
+        updateDomains(debuggerTarget(tabId, sessionId), previous.enabledDomains, settings.enabledDomains);
+      }
+    }
+    showBadgeState(tabId);
+  });
+
+  // ネイティブメッセージングの接続先が変わった場合は接続し直す
+  if (settings.nativeBridgeEnabled !== previous.nativeBridgeEnabled || settings.nativeHostName !== previous.nativeHostName) {
+    updateNativeBridge();
+  }
+
+  // 自動アタッチのパターンが変わった場合は開いているタブに反映
+  if (settings.autoAttachPatterns.join("\n") !== previous.autoAttachPatterns.join("\n")) {
+    autoAttachRegExps = compileAutoAttachPatterns(settings.autoAttachPatterns);
+    autoAttachOpenTabs();
+  }
+
+  // 転送を有効にした場合は保存済みの再送キューを送信し、無効にした場合は再送のタイマーを止める
+  const collectorReady = settings.collectorEnabled && !!settings.collectorUrl;
+  if (collectorReady !== (previous.collectorEnabled && !!previous.collectorUrl)) {
+    retryCollectorQueue();
+  }
+}
+
+/**
+ * ストレージの変更を反映（設定と無視ルール）
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes.settings) {
+    applySettings(mergeSettings(changes.settings.newValue));
+  }
+  if (areaName === "local" && changes.ignoreRules) {
+    ignoreRules = compileIgnoreRules(changes.ignoreRules.newValue);
+  }
+});
+
+// ====== 無視ルール ======
+
+/**
+ * ユーザーが管理する無視ルール（chrome.storage.local の "ignoreRules"）
+ * 
+ * 各ルールの形式：
+ *   - id: string - ルールID
+ *   - enabled: boolean - 有効か
+ *   - source: string - 一致させるソース（空文字は任意）
+ *   - level: string - 一致させるレベル（空文字は任意）
+ *   - textPattern: string - メッセージに一致させる正規表現（空文字は任意）
+ *   - urlGlob: string - URLに一致させるグロブ（* と ? が使える。空文字は任意）
+ *   - action: string - "drop": 記録しない, "silence": 記録するがバッジのカウントに含めない
+ * 
+ * 指定した条件はすべて満たした場合に一致とみなす。
+ */
+let ignoreRules = [];
+
+/**
+ * グロブをURL全体に一致する正規表現に変換
+ * 
+ * @param {string} glob - グロブ（* は任意の文字列、? は任意の1文字）
+ * @returns {RegExp} 正規表現
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * 保存形式のルールを照合用にコンパイル（不正な正規表現のルールは除外）
+ * 
+ * @param {Array<Object>} rules - 保存形式のルール
+ * @returns {Array<Object>} textRegExp / urlRegExp を持つ有効なルール
+ */
+function compileIgnoreRules(rules) {
+  return (rules || []).filter((rule) => rule.enabled !== false).flatMap((rule) => {
+    try {
+      return [{
+        ...rule,
+        textRegExp: rule.textPattern ? new RegExp(rule.textPattern) : null,
+        urlRegExp: rule.urlGlob ? globToRegExp(rule.urlGlob) : null
+      }];
+    } catch (error) {
+      console.warn('無視ルールを読み込めませんでした:', rule, error);
+      return [];
+    }
+  });
+}
+
+/**
+ * 無視ルールをChromeストレージから読み込む
+ */
+async function loadIgnoreRules() {
+  try {
+    const result = await chrome.storage.local.get(['ignoreRules']);
+    ignoreRules = compileIgnoreRules(result.ignoreRules);
+  } catch (error) {
+    console.error('無視ルールの読み込みに失敗しました:', error);
+  }
+}
+
+/**
+ * ログに一致する無視ルールを探す
+ * 
+ * URLはログのURLとスタックの先頭フレームのURLの両方で照合する。
+ * 
+ * @param {Object} log - ログ情報
+ * @returns {Object|null} 最初に一致したルール
+ */
+function findIgnoreRule(log) {
+  const topFrame = Array.isArray(log.stack) ? log.stack.find((frame) => !frame.asyncBoundary) : null;
+  const urls = [log.url, topFrame?.url, log.network?.url].filter(Boolean);
+  return ignoreRules.find((rule) =>
+    (!rule.source || rule.source === log.source) &&
+    (!rule.level || rule.level === log.level) &&
+    (!rule.textRegExp || rule.textRegExp.test(log.text || "")) &&
+    (!rule.urlRegExp || urls.some((url) => rule.urlRegExp.test(url)))
+  ) || null;
+}
 
 // ====== 状態管理 ======
 
@@ -30,13 +190,36 @@ const tabStates = new Map();
  * @param {number} tabId - 対象のタブID
  * @returns {Object} タブの状態オブジェクト
  *   - attached: boolean - デバッガーがアタッチ/デタッチされているか
+ *   - autoAttached: boolean - 自動アタッチのパターンに一致してアタッチしたか
+ *   - detachReason: Object|null - 意図せずデタッチされた理由と時刻（{ reason, at }）
  *   - newErrorInfo: Object|null - 最新のエラー情報
  *   - session: Object|null - CDPデバッガーセッション
  *   - errorCount: number - エラーの累計数
+ *   - errorHistory: Array<Object> - エラー履歴（古い順、最大 settings.historySize 件）
+ *   - errorGroups: Object - フィンガープリントをキーとしたエラーグループ
+ *   - pageSessionId: string - 現在のページセッションのID
+ *   - pageUrl: string - 現在のページのURL
+ *   - pageStartedAt: number - 現在のページの読み込み開始時刻
+ *   - pageSessions: Array<Object> - 過去のページセッション（古い順、最大 settings.maxPageSessions 件）
+ * 
+ * errorCount / newErrorInfo / errorHistory / errorGroups は現在のページセッションの値を表す。
  */
 function getTabState(tabId) {
   if (!tabStates.has(tabId)) {
-    tabStates.set(tabId, { attached: false, newErrorInfo: null, session: null, errorCount: 0 });
+    tabStates.set(tabId, {
+      attached: false,
+      autoAttached: false,
+      detachReason: null,
+      newErrorInfo: null,
+      session: null,
+      errorCount: 0,
+      errorHistory: [],
+      errorGroups: {},
+      pageSessionId: crypto.randomUUID(),
+      pageUrl: "",
+      pageStartedAt: Date.now(),
+      pageSessions: []
+    });
   }
   return tabStates.get(tabId);
 }
@@ -47,44 +230,119 @@ function getTabState(tabId) {
  */
 function removeTabState(tabId) {
   tabStates.delete(tabId);
+  // 保存済みの状態も削除する
+  setChromeSaveState(tabId);
+}
+
+/**
+ * デバッガーセッションに紐づくキャッシュ（スクリプト情報・実行コンテキスト・子ターゲット・ネットワーク追跡・再送の判定）を破棄
+ * @param {number} tabId - タブID
+ */
+function clearTabCaches(tabId) {
+  clearScriptRegistry(tabId);
+  clearExecutionContexts(tabId);
+  clearChildTargets(tabId);
+  clearNetworkRequests(tabId);
+  replayCutoffs.delete(tabId);
 }
 
 /**
- * タブ状態をリセット（エラーカウントのみ）
+ * タブ状態をリセット（エラーカウントとグループのカウント）
  * @param {number} tabId - タブID
  */
 function resetTabErrorCount(tabId) {
   const tabState = getTabState(tabId);
   tabState.errorCount = 0;
+  tabState.errorGroups = {};
 }
 
 // 2. エラー情報管理（Error Log Management）
 /**
  * 最新のエラー情報を設定し、エラーカウントを更新
+ * 
+ * 無視ルールに一致した場合、"drop" なら何もせず、"silence" なら
+ * 履歴には残すが最新のエラー情報とエラーカウントは更新しない。
+ * 
  * @param {number} tabId - タブID
  * @param {Object} log - ログ情報（level, source, text, url, line, column）
+ * @param {boolean} [deferForward=false] - 補完（enrichEntry など）の後に呼び出し元で forwardEntry する場合はtrue
+ * @returns {Object|null} 保存したエラー情報（無視ルールで破棄した場合はnull）
  */
-function setUpdateErrorBadge(tabId, log) {
+function setUpdateErrorBadge(tabId, log, deferForward = false) {
   const tabState = getTabState(tabId);
+
+  const rule = findIgnoreRule(log);
+  if (rule?.action === "drop") {
+    return null;
+  }
   
   // エラー情報を更新
-  tabState.newErrorInfo = { ...log, ts: Date.now() };
+  const entry = { id: crypto.randomUUID(), ...log, pageUrl: tabState.pageUrl, ts: Date.now() };
+  entry.fingerprint = createFingerprint(entry);
+  const breadcrumbs = getRecentBreadcrumbs(tabId);
+  if (breadcrumbs.length > 0) {
+    entry.breadcrumbs = breadcrumbs;
+  }
+  if (rule) {
+    entry.ignored = true;
+  } else {
+    tabState.newErrorInfo = entry;
+  }
+  addErrorHistory(tabId, entry);
   
   // デバッガーがアタッチされていない場合はエラーカウントを加算しない
+  const counted = tabState.attached && !rule && settings.countLevels.includes(log.level) && log.source !== "system";
+  const firstInGroup = !tabState.errorGroups[entry.fingerprint];
+  addErrorGroup(tabId, entry, counted);
+  if (firstInGroup && counted && settings.screenshotOnError) {
+    captureErrorScreenshot(tabId, entry);
+  }
+  if (!deferForward) {
+    forwardEntry(tabId, entry);
+  }
+  notifyDashboard(tabId);
   if (!tabState.attached) {
-    return;
+    return entry;
   }
   
-  // エラーレベルかつシステムメッセージ以外の場合のみカウントを増やす
-  if (log.level === "error" && log.source !== "system") {
+  // カウント対象のレベルかつシステムメッセージ以外の場合のみカウントを増やす
+  if (counted) {
     tabState.errorCount++;
     
     // エラーカウントが増加した場合のみバッジを更新
-    updateBadgeState(tabId, tabState.errorCount);
+    showBadgeState(tabId);
   }
   
   // ストレージ状態を保存
-  setChromeSaveState();
+  setChromeSaveState(tabId);
+  return entry;
+}
+
+/**
+ * エントリを外部のコレクターとネイティブメッセージングホストに送る（無視ルールに一致したエントリは送らない）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ */
+function forwardEntry(tabId, entry) {
+  if (entry.ignored) return;
+  forwardToCollector(tabId, entry);
+  notifyNativeEntry(tabId, entry);
+}
+
+/**
+ * 現在のページセッションの記録（エラーカウント・最新のエラー・履歴・グループ）をクリア
+ * @param {number} tabId - タブID
+ */
+function clearTabErrors(tabId) {
+  const tabState = getTabState(tabId);
+  tabState.errorCount = 0;
+  tabState.newErrorInfo = null;
+  tabState.errorHistory = [];
+  tabState.errorGroups = {};
+  showBadgeState(tabId);
+  notifyDashboard(tabId);
+  setChromeSaveState(tabId);
 }
 
 /**
@@ -94,7 +352,222 @@ function setUpdateErrorBadge(tabId, log) {
 function clearNewErrorInfo(tabId) {
   const tabState = getTabState(tabId);
   tabState.newErrorInfo = null;
-  setChromeSaveState();
+  setChromeSaveState(tabId);
+}
+
+/**
+ * エラー履歴にエントリを追加（上限を超えた分は古い順に削除）
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ */
+function addErrorHistory(tabId, entry) {
+  const tabState = getTabState(tabId);
+  tabState.errorHistory.push(entry);
+  const overflow = tabState.errorHistory.length - settings.historySize;
+  if (overflow > 0) {
+    tabState.errorHistory.splice(0, overflow);
+  }
+}
+
+/**
+ * エラー履歴を取得
+ * @param {number} tabId - タブID
+ * @returns {Array<Object>} エラー履歴（古い順）
+ */
+function getErrorHistory(tabId) {
+  return getTabState(tabId).errorHistory;
+}
+
+/**
+ * メッセージから可変部分（数値・UUID・クエリ文字列など）を取り除いて正規化
+ * @param {string} text - メッセージ
+ * @returns {string} 正規化されたメッセージ
+ */
+function normalizeMessage(text) {
+  return String(text || "")
+    .replace(/https?:\/\/[^\s)'"]+/g, (url) => url.split(/[?#]/)[0])
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "<uuid>")
+    .replace(/\b0x[0-9a-f]+\b/gi, "<hex>")
+    .replace(/\d+(\.\d+)?/g, "<n>")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 500);
+}
+
+/**
+ * エントリのフィンガープリントを作成
+ * 
+ * 正規化したメッセージ・ソース・発生位置（スタックの先頭フレーム、なければエントリのURLと行）から作る。
+ * 
+ * @param {Object} entry - エラー情報
+ * @returns {string} フィンガープリント（16進数）
+ */
+function createFingerprint(entry) {
+  const topFrame = Array.isArray(entry.stack) ? entry.stack.find((frame) => !frame.asyncBoundary) : null;
+  const location = topFrame
+    ? `${topFrame.url}:${topFrame.line}`
+    : `${String(entry.url || "").split(/[?#]/)[0]}:${entry.line ?? ""}`;
+  const key = [entry.level, entry.source, normalizeMessage(entry.text), location, entry.network?.status ?? ""].join("|");
+
+  // FNV-1a（32bit）でハッシュ化
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * エントリを同じフィンガープリントのグループに集約
+ * 
+ * グループ数が上限を超えた場合は最終発生が最も古いグループを削除する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ * @param {boolean} counted - バッジのカウント対象か
+ */
+function addErrorGroup(tabId, entry, counted) {
+  const tabState = getTabState(tabId);
+  const groups = tabState.errorGroups;
+  const group = groups[entry.fingerprint];
+  if (group) {
+    group.count++;
+    group.lastSeen = entry.ts;
+    group.counted = group.counted || counted;
+    group.sample = entry;
+    return;
+  }
+
+  groups[entry.fingerprint] = {
+    fingerprint: entry.fingerprint,
+    level: entry.level,
+    source: entry.source,
+    text: entry.text,
+    count: 1,
+    firstSeen: entry.ts,
+    lastSeen: entry.ts,
+    counted,
+    sample: entry
+  };
+
+  const fingerprints = Object.keys(groups);
+  if (fingerprints.length > settings.maxErrorGroups) {
+    const oldest = fingerprints.reduce((a, b) => (groups[a].lastSeen <= groups[b].lastSeen ? a : b));
+    delete groups[oldest];
+  }
+}
+
+/**
+ * エラーグループを取得（最終発生の新しい順）
+ * @param {number} tabId - タブID
+ * @returns {Array<Object>} エラーグループ
+ */
+function getErrorGroups(tabId) {
+  return Object.values(getTabState(tabId).errorGroups).sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * バッジに表示する数を取得（settings.badgeMode に従う）
+ * @param {number} tabId - タブID
+ * @returns {number} 発生回数の合計、または種類数
+ */
+function getBadgeCount(tabId) {
+  const tabState = getTabState(tabId);
+  if (settings.badgeMode === "unique") {
+    return Object.values(tabState.errorGroups).filter((group) => group.counted).length;
+  }
+  return tabState.errorCount;
+}
+
+/**
+ * 新しいページセッションを開始
+ * 
+ * 現在のセッションに記録がある場合は過去のセッションとして保存し、
+ * エラーカウント・履歴・グループをリセットする。
+ * settings.preserveLog が有効な場合はURLだけ更新して記録を続ける。
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} url - 読み込まれたページのURL
+ */
+function startPageSession(tabId, url) {
+  const tabState = getTabState(tabId);
+  if (settings.preserveLog) {
+    tabState.pageUrl = url;
+    notifyDashboard(tabId);
+    setChromeSaveState(tabId);
+    return;
+  }
+
+  if (tabState.errorHistory.length > 0 || tabState.errorCount > 0) {
+    tabState.pageSessions.push({
+      id: tabState.pageSessionId,
+      url: tabState.pageUrl,
+      startedAt: tabState.pageStartedAt,
+      endedAt: Date.now(),
+      errorCount: tabState.errorCount,
+      newErrorInfo: tabState.newErrorInfo,
+      errorHistory: tabState.errorHistory,
+      errorGroups: tabState.errorGroups
+    });
+    const overflow = tabState.pageSessions.length - settings.maxPageSessions;
+    if (overflow > 0) {
+      tabState.pageSessions.splice(0, overflow);
+    }
+  }
+
+  tabState.pageSessionId = crypto.randomUUID();
+  tabState.pageUrl = url;
+  tabState.pageStartedAt = Date.now();
+  tabState.errorCount = 0;
+  tabState.newErrorInfo = null;
+  tabState.errorHistory = [];
+  tabState.errorGroups = {};
+
+  showBadgeState(tabId);
+  notifyDashboard(tabId);
+  setChromeSaveState(tabId);
+}
+
+/**
+ * ページセッションの一覧を取得（新しい順、先頭が現在のページ）
+ * @param {number} tabId - タブID
+ * @returns {Array<Object>} { id, url, startedAt, endedAt, errorCount, current }
+ */
+function getPageSessionSummaries(tabId) {
+  const tabState = getTabState(tabId);
+  const current = {
+    id: tabState.pageSessionId,
+    url: tabState.pageUrl,
+    startedAt: tabState.pageStartedAt,
+    endedAt: null,
+    errorCount: tabState.errorCount,
+    current: true
+  };
+  const past = tabState.pageSessions.slice().reverse().map((session) => ({
+    id: session.id,
+    url: session.url,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    errorCount: session.errorCount,
+    current: false
+  }));
+  return [current, ...past];
+}
+
+/**
+ * Page.frameNavigated を処理（メインフレームの遷移でページセッションを開始）
+ * @param {number} tabId - タブID
+ * @param {Object} params - frameNavigatedパラメータ
+ */
+function handleFrameNavigated(tabId, params) {
+  const frame = params?.frame;
+  if (!frame || frame.parentId) return;
+  mainFrameIds.set(tabId, frame.id);
+  if (settings.breadcrumbSources.navigation) {
+    addBreadcrumb(tabId, "navigation", frame.url || "");
+  }
+  startPageSession(tabId, frame.url || "");
 }
 
 // 3. ポップアップ状態管理（Popup State Management）
@@ -108,91 +581,2542 @@ function getPopupState(tabId) {
   return {
     tabId,
     attached: !!tabState?.attached,
+    detachReason: tabState?.detachReason || null,
     newErrorInfo: tabState?.newErrorInfo || null
   };
 }
 
 // 4. ストレージ状態管理（Storage State Management）
+// タブの状態はタブごとのキー（"tabState:<タブID>"）で chrome.storage.local に保存する。
+// エラーが大量に発生しても書き込みが追いつくように、変更のあったタブを記録しておき、
+// 短い間隔の変更はまとめて SAVE_DEBOUNCE_MS 後に書き込む（変更が続く場合も SAVE_MAX_WAIT_MS ごとに書き込む）。
+
+/** タブの状態を保存するキーの接頭辞 */
+const TAB_STATE_KEY_PREFIX = "tabState:";
+
+/** 最後の変更から書き込むまでの時間（ミリ秒） */
+const SAVE_DEBOUNCE_MS = 1000;
+
+/** 変更が続く場合に書き込みを待つ最大の時間（ミリ秒） */
+const SAVE_MAX_WAIT_MS = 5000;
+
+/** 保存されていない変更のあるタブID（状態が削除されたタブは保存済みのキーを削除する） */
+const dirtyTabIds = new Set();
+
+/** 保存済みのタブの状態のサイズ（バイト） */
+const savedStateSizes = new Map();
+
+/** 書き込みのタイマーと、最初の未保存の変更の時刻 */
+let saveTimer = null;
+let firstDirtyAt = 0;
+
 /**
- * 状態をChromeストレージに保存
+ * タブの状態の保存用のキーを作成
+ * 
+ * @param {number} tabId - タブID
+ * @returns {string} chrome.storage.local のキー
  */
-async function setChromeSaveState() {
-  const stateToSave = {};
-  tabStates.forEach((state, tabId) => {
-    // セッション情報は保存しない（再起動時に無効になるため）
-    const { session, ...saveableState } = state;
-    stateToSave[tabId] = saveableState;
-  });
-  
-  await chrome.storage.local.set({ 
-    debuggerState: stateToSave,
-    lastSaved: Date.now()
+function tabStateKey(tabId) {
+  return `${TAB_STATE_KEY_PREFIX}${tabId}`;
+}
+
+/**
+ * タブの状態を保存用のJSONにする（デバッガーセッションは再起動時に無効になるため保存しない）
+ * 
+ * @param {Object} state - タブの状態
+ * @returns {Object} 保存する値
+ */
+function toSaveableState(state) {
+  const { session, ...saveableState } = state;
+  return saveableState;
+}
+
+/**
+ * タブの状態の変更を記録し、まとめて保存する
+ * 
+ * 書き込みは変更が落ち着いてから行い、変更が続く場合も SAVE_MAX_WAIT_MS を超えて待たない。
+ * 
+ * @param {number} tabId - 変更のあったタブID
+ */
+function setChromeSaveState(tabId) {
+  dirtyTabIds.add(tabId);
+  const now = Date.now();
+  if (!firstDirtyAt) firstDirtyAt = now;
+  clearTimeout(saveTimer);
+  const delay = Math.min(SAVE_DEBOUNCE_MS, Math.max(0, firstDirtyAt + SAVE_MAX_WAIT_MS - now));
+  saveTimer = setTimeout(flushChromeSaveState, delay);
+}
+
+/**
+ * 変更のあったタブの状態をChromeストレージに書き込む
+ * 
+ * 合計サイズが settings.storageBudgetKB を超える場合は、書き込む前に enforceStorageBudget で古い記録を削る。
+ * 
+ * @returns {Promise<void>}
+ */
+async function flushChromeSaveState() {
+  saveTimer = null;
+  firstDirtyAt = 0;
+  const tabIds = Array.from(dirtyTabIds);
+  dirtyTabIds.clear();
+  if (tabIds.length === 0) return;
+
+  const encoder = new TextEncoder();
+  const serialized = new Map();
+  const removedKeys = [];
+  tabIds.forEach((tabId) => {
+    const state = tabStates.get(tabId);
+    if (!state) {
+      removedKeys.push(tabStateKey(tabId));
+      savedStateSizes.delete(tabId);
+      return;
+    }
+    const json = JSON.stringify(toSaveableState(state));
+    serialized.set(tabId, json);
+    savedStateSizes.set(tabId, encoder.encode(json).length);
   });
+
+  enforceStorageBudget(serialized);
+
+  try {
+    const items = {};
+    serialized.forEach((json, tabId) => {
+      items[tabStateKey(tabId)] = JSON.parse(json);
+    });
+    if (Object.keys(items).length > 0) {
+      await chrome.storage.local.set(items);
+    }
+    if (removedKeys.length > 0) {
+      await chrome.storage.local.remove(removedKeys);
+    }
+  } catch (error) {
+    console.error('状態の保存に失敗しました:', error);
+  }
+}
+
+/**
+ * 保存する状態の合計サイズを settings.storageBudgetKB に収める
+ * 
+ * 最もサイズの大きいタブから、過去のページセッション、現在のページのエラー履歴の古い半分の順に削る。
+ * 削った記録はメモリ上の状態からも削除し、削ったタブは serialized に加えて書き直す。
+ * 
+ * @param {Map<number, string>} serialized - 書き込むタブの状態のJSON（削ったタブを追加する）
+ */
+function enforceStorageBudget(serialized) {
+  const budget = settings.storageBudgetKB * 1024;
+  const encoder = new TextEncoder();
+  let total = Array.from(savedStateSizes.values()).reduce((sum, size) => sum + size, 0);
+
+  while (total > budget) {
+    // 削れる記録の残っているタブのうち、最もサイズの大きいもの
+    const candidates = Array.from(savedStateSizes.entries()).filter(([id]) => {
+      const state = tabStates.get(id);
+      return state && (state.pageSessions.length > 0 || state.errorHistory.length > 1);
+    });
+    if (candidates.length === 0) break;
+    const [tabId] = candidates.reduce((a, b) => (b[1] > a[1] ? b : a));
+    const state = tabStates.get(tabId);
+    if (state.pageSessions.length > 0) {
+      state.pageSessions.shift();
+    } else {
+      state.errorHistory.splice(0, Math.ceil(state.errorHistory.length / 2));
+    }
+    const json = JSON.stringify(toSaveableState(state));
+    const size = encoder.encode(json).length;
+    total += size - savedStateSizes.get(tabId);
+    savedStateSizes.set(tabId, size);
+    serialized.set(tabId, json);
+    notifyDashboard(tabId);
+  }
 }
 
 /**
  * 状態をChromeストレージから復元
+ * 
+ * 閉じられたタブ（ブラウザの再起動でタブIDが変わったものを含む）の状態は復元せずに削除する。
+ * 以前の形式（全タブを "debuggerState" にまとめたもの）は読み込んでからタブごとのキーに移す。
+ * アタッチ状態は false にして復元し、実際にアタッチが残っているかは reconcileDebuggerState で確かめる。
+ * 
+ * @returns {Promise<Map<number, Object>>} 保存時にアタッチ中だったタブ（タブID → { autoAttached }）
  */
 async function chromeLoadState() {
+  const previouslyAttached = new Map();
   try {
-    const result = await chrome.storage.local.get(['debuggerState']);
-    const savedState = result.debuggerState || {};
-    
+    const [stored, openTabs] = await Promise.all([chrome.storage.local.get(null), chrome.tabs.query({})]);
+    const openTabIds = new Set(openTabs.map((tab) => tab.id));
+    const savedStates = new Map();
+    Object.entries(stored.debuggerState || {}).forEach(([tabId, state]) => savedStates.set(Number(tabId), state));
+    Object.entries(stored).forEach(([key, state]) => {
+      if (key.startsWith(TAB_STATE_KEY_PREFIX)) {
+        savedStates.set(Number(key.slice(TAB_STATE_KEY_PREFIX.length)), state);
+      }
+    });
+
+    const staleKeys = Object.keys(stored).filter((key) => key.startsWith(TAB_STATE_KEY_PREFIX) &&
+      !openTabIds.has(Number(key.slice(TAB_STATE_KEY_PREFIX.length))));
+    if (stored.debuggerState) {
+      staleKeys.push("debuggerState", "lastSaved");
+    }
+
     // 保存された状態を復元（attachedはfalseにリセット）
-    Object.entries(savedState).forEach(([tabId, state]) => {
-      tabStates.set(Number(tabId), {
+    savedStates.forEach((state, tabId) => {
+      if (!openTabIds.has(tabId)) return;
+      if (state.attached) {
+        previouslyAttached.set(tabId, { autoAttached: !!state.autoAttached });
+      }
+      tabStates.set(tabId, {
         ...state,
+        errorHistory: state.errorHistory || [],
+        errorGroups: state.errorGroups || {},
+        pageSessionId: state.pageSessionId || crypto.randomUUID(),
+        pageUrl: state.pageUrl || "",
+        pageStartedAt: state.pageStartedAt || Date.now(),
+        pageSessions: state.pageSessions || [],
+        detachReason: state.detachReason || null,
         attached: false, // 再起動時はデタッチ状態
+        autoAttached: false,
         session: null
       });
+      // 保存時（flushChromeSaveState）と同じ形でサイズを測る
+      savedStateSizes.set(tabId, new TextEncoder().encode(JSON.stringify(toSaveableState(tabStates.get(tabId)))).length);
+      if (stored.debuggerState) {
+        setChromeSaveState(tabId);
+      }
     });
+
+    if (staleKeys.length > 0) {
+      await chrome.storage.local.remove(staleKeys);
+    }
   } catch (error) {
     console.error('状態の復元に失敗しました:', error);
   }
-}
+  return previouslyAttached;
+}
+
+// 5. バッジ状態管理（Badge State Management）
+/**
+ * バッジ状態を更新（エラーカウントに基づく）
+ * @param {number} tabId - タブID
+ * @param {number} errorCount - エラー数
+ * @param {string} [level="error"] - バッジの色に使うレベル
+ */
+function updateBadgeState(tabId, errorCount, level = "error") {
+  const badgeText = errorCount > 0 ? String(errorCount) : "";
+  const color = settings.badgeColors[level] || settings.badgeColors.error;
+  chrome.action.setBadgeText({ tabId, text: badgeText });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: errorCount > 0 ? color : "#00000000" });
+}
+
+/**
+ * カウント対象のエラーのうち最も重大なレベルを取得
+ * @param {number} tabId - タブID
+ * @returns {string} レベル（カウント対象がない場合は "error"）
+ */
+function getBadgeLevel(tabId) {
+  const levels = new Set(Object.values(getTabState(tabId).errorGroups)
+    .filter((group) => group.counted)
+    .map((group) => group.level));
+  return SEVERITY_LEVELS.find((level) => levels.has(level)) || "error";
+}
+
+/**
+ * バッジ状態を非表示にする（エラーカウントは保持）
+ * @param {number} tabId - タブID
+ */
+function hideBadgeState(tabId) {
+  chrome.action.setBadgeText({ tabId, text: "" });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: "#00000000" });
+}
+
+/**
+ * バッジ状態を表示する（現在のエラーカウントで）
+ * @param {number} tabId - タブID
+ */
+function showBadgeState(tabId) {
+  updateBadgeState(tabId, getBadgeCount(tabId), getBadgeLevel(tabId));
+}
+
+// ====== ユーティリティ関数 ======
+/**
+ * 現在アクティブなタブのIDを取得
+ * @returns {Promise<number|null>} アクティブタブのID
+ */
+async function getActiveTabId() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tabs[0]?.id;
+}
+
+// ====== ソースマップ ======
+
+/**
+ * スクリプトのソースマップ情報（Debugger.scriptParsed で記録）
+ * タブIDをキーとして、scriptId（子ターゲットはセッションIDを付けたもの）→ { url, sourceMapURL } の Map を保持する
+ */
+const scriptRegistry = new Map();
+
+/**
+ * 解析済みソースマップのキャッシュ
+ * キーは "タブID:scriptId"、値は解析結果（取得できなかった場合はnull）の Promise
+ */
+const sourceMapCache = new Map();
+
+// Base64 VLQ のデコード表
+const BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Debugger.scriptParsed を処理（ソースマップを持つスクリプトのみ記録）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - scriptParsedパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleScriptParsed(tabId, params, sessionId) {
+  if (!params?.sourceMapURL) return;
+  if (!scriptRegistry.has(tabId)) {
+    scriptRegistry.set(tabId, new Map());
+  }
+  scriptRegistry.get(tabId).set(scopedId(sessionId, params.scriptId), {
+    url: params.url || "",
+    sourceMapURL: params.sourceMapURL
+  });
+}
+
+/**
+ * タブのスクリプト情報とソースマップ・スクリプト本文のキャッシュを破棄
+ * 
+ * @param {number} tabId - タブID
+ */
+function clearScriptRegistry(tabId) {
+  scriptRegistry.delete(tabId);
+  const prefix = `${tabId}:`;
+  for (const cache of [sourceMapCache, scriptSourceCache]) {
+    for (const key of cache.keys()) {
+      if (key.startsWith(prefix)) cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Base64 VLQ の1セグメントを数値の配列にデコード
+ * 
+ * @param {string} segment - VLQ文字列
+ * @returns {Array<number>} デコードされた値
+ */
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const ch of segment) {
+    const digit = BASE64_CHARS.indexOf(ch);
+    if (digit < 0) throw new Error(`不正なVLQ文字です: ${ch}`);
+    value += (digit & 31) * 2 ** shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      const negative = value % 2 === 1;
+      value = Math.floor(value / 2);
+      values.push(negative ? -value : value);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * mappings 文字列を行ごとのセグメント配列にデコード
+ * 
+ * @param {string} mappings - ソースマップの mappings
+ * @returns {Array<Array<Array<number>>>} 行ごとの [生成列, ソース番号, 元の行, 元の列, 名前番号] の配列（生成列の昇順）
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  let nameIndex = 0;
+
+  mappings.split(";").forEach((lineText) => {
+    const segments = [];
+    let generatedColumn = 0;
+    lineText.split(",").forEach((segmentText) => {
+      if (!segmentText) return;
+      const v = decodeVlq(segmentText);
+      generatedColumn += v[0];
+      const segment = [generatedColumn];
+      if (v.length >= 4) {
+        sourceIndex += v[1];
+        sourceLine += v[2];
+        sourceColumn += v[3];
+        segment.push(sourceIndex, sourceLine, sourceColumn);
+        if (v.length >= 5) {
+          nameIndex += v[4];
+          segment.push(nameIndex);
+        }
+      }
+      segments.push(segment);
+    });
+    segments.sort((a, b) => a[0] - b[0]);
+    lines.push(segments);
+  });
+  return lines;
+}
+
+/**
+ * ソースマップのJSONを解析
+ * 
+ * @param {Object} raw - ソースマップのJSON
+ * @param {string} baseUrl - sources を解決する基準URL
+ * @returns {Object} 解析済みソースマップ（sources, names, lines）
+ */
+function parseSourceMap(raw, baseUrl) {
+  if (raw.sections) throw new Error("インデックス形式のソースマップには未対応です");
+  const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, "/") : "";
+  const sources = (raw.sources || []).map((source) => {
+    try {
+      return new URL(root + source, baseUrl).href;
+    } catch {
+      return root + source;
+    }
+  });
+  return {
+    sources,
+    sourcesContent: raw.sourcesContent || [],
+    names: raw.names || [],
+    lines: decodeMappings(raw.mappings || "")
+  };
+}
+
+/**
+ * ソースマップのJSONを取得（data: URL または同一オリジンのファイル）
+ * 
+ * @param {string} scriptUrl - スクリプトのURL
+ * @param {string} sourceMapURL - スクリプトに記載された sourceMappingURL
+ * @returns {Promise<{raw: Object, baseUrl: string}>} ソースマップと基準URL
+ */
+async function fetchSourceMap(scriptUrl, sourceMapURL) {
+  if (sourceMapURL.startsWith("data:")) {
+    const comma = sourceMapURL.indexOf(",");
+    const header = sourceMapURL.slice(0, comma);
+    const body = sourceMapURL.slice(comma + 1);
+    const text = header.endsWith(";base64")
+      ? decodeBase64Text(body)
+      : decodeURIComponent(body);
+    return { raw: JSON.parse(text), baseUrl: scriptUrl };
+  }
+
+  const mapUrl = new URL(sourceMapURL, scriptUrl);
+  if (mapUrl.origin !== new URL(scriptUrl).origin) {
+    throw new Error(`別オリジンのソースマップは取得しません: ${mapUrl.href}`);
+  }
+  const res = await fetch(mapUrl.href, { credentials: "include" });
+  if (!res.ok) throw new Error(`ソースマップの取得に失敗しました: ${res.status} ${mapUrl.href}`);
+  return { raw: await res.json(), baseUrl: mapUrl.href };
+}
+
+/**
+ * スクリプトの解析済みソースマップを取得（スクリプトごとにキャッシュ）
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} scriptId - スクリプトID
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<Object|null>} 解析済みソースマップ（ない場合はnull）
+ */
+function getSourceMap(tabId, scriptId, sessionId) {
+  const script = scriptRegistry.get(tabId)?.get(scopedId(sessionId, scriptId));
+  if (!script) return Promise.resolve(null);
+
+  const key = `${tabId}:${scopedId(sessionId, scriptId)}`;
+  if (!sourceMapCache.has(key)) {
+    const loading = fetchSourceMap(script.url, script.sourceMapURL)
+      .then(({ raw, baseUrl }) => parseSourceMap(raw, baseUrl))
+      .catch((error) => {
+        console.warn('ソースマップを読み込めませんでした:', error);
+        return null;
+      });
+    sourceMapCache.set(key, loading);
+  }
+  return sourceMapCache.get(key);
+}
+
+/**
+ * 生成コード上の位置を元のソース上の位置に変換
+ * 
+ * @param {Object} map - 解析済みソースマップ
+ * @param {number} line - 生成コードの行番号（0始まり）
+ * @param {number} column - 生成コードの列番号（0始まり）
+ * @returns {Object|null} { url, line, column, name }（対応がない場合はnull）
+ */
+function lookupOriginalPosition(map, line, column) {
+  const segments = map.lines[line];
+  if (!segments || segments.length === 0) return null;
+
+  // column 以下で最大の生成列を持つセグメントを二分探索
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] <= (column || 0)) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  const segment = segments[found];
+  if (!segment || segment.length < 4) return null;
+
+  return {
+    url: map.sources[segment[1]] || "",
+    line: segment[2],
+    column: segment[3],
+    name: segment.length >= 5 ? map.names[segment[4]] || "" : ""
+  };
+}
+
+/**
+ * 位置情報（url, line, column）をソースマップで元の位置に書き換える
+ * 
+ * 書き換えた場合は元の生成コード上の位置を generated に保持する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} target - 位置情報を持つオブジェクト（フレームまたはエントリ）
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<boolean>} 書き換えた場合はtrue
+ */
+async function resolveOriginalPosition(tabId, target, sessionId) {
+  if (!target?.scriptId || target.line == null || target.generated) return false;
+  const map = await getSourceMap(tabId, target.scriptId, sessionId);
+  if (!map) return false;
+
+  const original = lookupOriginalPosition(map, target.line, target.column);
+  if (!original) return false;
+
+  target.generated = { url: target.url, line: target.line, column: target.column };
+  target.url = original.url;
+  target.line = original.line;
+  target.column = original.column;
+  if (original.name && "functionName" in target) {
+    target.functionName = original.name;
+  }
+  return true;
+}
+
+/**
+ * エントリとそのスタックフレームをソースマップで解決する
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<boolean>} 1箇所でも書き換えた場合はtrue
+ */
+async function resolveEntrySourceMaps(tabId, entry, sessionId) {
+  const targets = [entry, ...(Array.isArray(entry.stack) ? entry.stack : [])];
+  const results = await Promise.all(targets.map((target) => resolveOriginalPosition(tabId, target, sessionId)));
+  return results.some(Boolean);
+}
+
+// ====== ソースコードの抜粋 ======
+
+/**
+ * スクリプト本文のキャッシュ（Debugger.getScriptSource の結果）
+ * キーは "タブID:scriptId"、値は本文（取得できなかった場合はnull）の Promise
+ */
+const scriptSourceCache = new Map();
+
+// キャッシュするスクリプト本文の最大数（バンドルは大きいため少なめにする）
+const MAX_CACHED_SCRIPT_SOURCES = 20;
+
+// 抜粋する1行の最大文字数（圧縮されたコードは失敗した列の周辺だけを切り出す）
+const MAX_SNIPPET_LINE_LENGTH = 200;
+
+/**
+ * スクリプト本文を取得（スクリプトごとにキャッシュ）
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} scriptId - スクリプトID
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<string|null>} スクリプト本文
+ */
+function getScriptSource(tabId, scriptId, sessionId) {
+  const key = `${tabId}:${scopedId(sessionId, scriptId)}`;
+  if (!scriptSourceCache.has(key)) {
+    const loading = chrome.debugger.sendCommand(debuggerTarget(tabId, sessionId), "Debugger.getScriptSource", { scriptId })
+      .then((res) => res?.scriptSource ?? null)
+      .catch((error) => {
+        console.warn('スクリプトの本文を取得できませんでした:', error);
+        return null;
+      });
+    scriptSourceCache.set(key, loading);
+    if (scriptSourceCache.size > MAX_CACHED_SCRIPT_SOURCES) {
+      scriptSourceCache.delete(scriptSourceCache.keys().next().value);
+    }
+  }
+  return scriptSourceCache.get(key);
+}
+
+/**
+ * 長い行を指定した列の周辺だけに切り詰める
+ * 
+ * @param {string} text - 行の内容
+ * @param {number|undefined} column - 中心にする列（0始まり）
+ * @returns {string} 切り詰めた行
+ */
+function clipLine(text, column) {
+  if (text.length <= MAX_SNIPPET_LINE_LENGTH) return text;
+  const half = Math.floor(MAX_SNIPPET_LINE_LENGTH / 2);
+  const start = Math.max(0, Math.min((column || 0) - half, text.length - MAX_SNIPPET_LINE_LENGTH));
+  const end = start + MAX_SNIPPET_LINE_LENGTH;
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * ソースコードから指定した行の前後を切り出す
+ * 
+ * @param {string} source - ソースコード全体
+ * @param {string} url - ソースのURL
+ * @param {number} line - 失敗した行（0始まり）
+ * @param {number|undefined} column - 失敗した列（0始まり）
+ * @param {boolean} original - ソースマップで解決した元のソースか
+ * @returns {Object|null} { url, line, column, startLine, lines, original }
+ */
+function extractSnippet(source, url, line, column, original) {
+  const allLines = source.split(/\r?\n/);
+  if (line < 0 || line >= allLines.length) return null;
+  const context = settings.sourceSnippetContext;
+  const startLine = Math.max(0, line - context);
+  const endLine = Math.min(allLines.length - 1, line + context);
+  const lines = [];
+  for (let i = startLine; i <= endLine; i++) {
+    lines.push(clipLine(allLines[i], i === line ? column : 0));
+  }
+  return { url, line, column, startLine, lines, original };
+}
+
+/**
+ * 失敗した位置（スタックの先頭フレーム、なければエントリ自体）のソースコードを抜粋してエントリに記録
+ * 
+ * ソースマップで解決済みで sourcesContent がある場合は元のソースから、
+ * それ以外は Debugger.getScriptSource で取得した生成コードから切り出す。
+ * ログの多いページでソースの取得が続かないように、例外とバッジのカウント対象のレベルのエントリだけに付ける。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<boolean>} 記録した場合はtrue
+ */
+async function attachSourceSnippet(tabId, entry, sessionId) {
+  if (!settings.captureSourceSnippet || entry.sourceSnippet) return false;
+  if (entry.source !== "exception" && !settings.countLevels.includes(entry.level)) return false;
+  const frames = Array.isArray(entry.stack) ? entry.stack.filter((frame) => !frame.asyncBoundary) : [];
+  const target = [...frames, entry].find((t) => t.scriptId && t.line != null);
+  if (!target) return false;
+
+  if (target.generated) {
+    const map = await getSourceMap(tabId, target.scriptId, sessionId);
+    const index = map ? map.sources.indexOf(target.url) : -1;
+    const content = index >= 0 ? map.sourcesContent[index] : null;
+    if (content) {
+      entry.sourceSnippet = extractSnippet(content, target.url, target.line, target.column, true);
+      return !!entry.sourceSnippet;
+    }
+  }
+
+  const source = await getScriptSource(tabId, target.scriptId, sessionId);
+  if (source == null) return false;
+  const position = target.generated || target;
+  entry.sourceSnippet = extractSnippet(source, position.url, position.line, position.column, false);
+  return !!entry.sourceSnippet;
+}
+
+// ====== 実行コンテキスト ======
+// 例外がメインフレーム・iframe のどちらで発生したかを判定するため、
+// Runtime.executionContextCreated の auxData（frameId）とメインフレームのIDを記録する。
+
+/** タブごとの実行コンテキスト（キーは executionContextId、値は { frameId, type }） */
+const executionContexts = new Map();
+
+/** タブごとのメインフレームのID */
+const mainFrameIds = new Map();
+
+/**
+ * Runtime.executionContextCreated を処理
+ * 
+ * 子ターゲットのコンテキストは、発生元をターゲットの種類で判定するため記録しない。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - executionContextCreatedパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleExecutionContextCreated(tabId, params, sessionId) {
+  const context = params?.context;
+  if (!context || sessionId) return;
+  if (!executionContexts.has(tabId)) {
+    executionContexts.set(tabId, new Map());
+  }
+  executionContexts.get(tabId).set(context.id, {
+    frameId: context.auxData?.frameId || "",
+    type: context.auxData?.type || ""
+  });
+}
+
+/**
+ * Runtime.executionContextDestroyed を処理
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - executionContextDestroyedパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleExecutionContextDestroyed(tabId, params, sessionId) {
+  if (sessionId) return;
+  executionContexts.get(tabId)?.delete(params?.executionContextId);
+}
+
+/**
+ * タブの実行コンテキストとメインフレームの記録を破棄
+ * @param {number} tabId - タブID
+ */
+function clearExecutionContexts(tabId) {
+  executionContexts.delete(tabId);
+  mainFrameIds.delete(tabId);
+}
+
+/**
+ * メインフレームのIDを Page.getFrameTree で取得して記録（アタッチ時）
+ * 
+ * @param {Object} target - デバッガーのターゲット
+ * @returns {Promise<void>}
+ */
+async function loadMainFrameId(target) {
+  try {
+    const { frameTree } = await chrome.debugger.sendCommand(target, "Page.getFrameTree");
+    if (frameTree?.frame?.id) {
+      mainFrameIds.set(target.tabId, frameTree.frame.id);
+    }
+  } catch (error) {
+    console.warn('メインフレームを取得できませんでした:', error);
+  }
+}
+
+/**
+ * 実行コンテキストがメインフレームと iframe のどちらのものかを判定
+ * 
+ * @param {number} tabId - タブID
+ * @param {number} contextId - executionContextId
+ * @returns {string} "main" / "iframe"（判定できない場合は空文字）
+ */
+function getContextRealm(tabId, contextId) {
+  const context = executionContexts.get(tabId)?.get(contextId);
+  const mainFrameId = mainFrameIds.get(tabId);
+  if (!context?.frameId || !mainFrameId) return "";
+  return context.frameId === mainFrameId ? "main" : "iframe";
+}
+
+/**
+ * 例外の種類を判定
+ * 
+ * エラーのクラス名は exception.className（Error 以外が投げられた場合は型）から、
+ * 未処理のPromise拒否は exceptionDetails.text の "Uncaught (in promise)" から判定する。
+ * 
+ * @param {Object} details - CDPのRuntime.ExceptionDetails
+ * @returns {{errorClass: string, promiseRejection: boolean}} 種類
+ */
+function classifyException(details) {
+  const exception = details?.exception;
+  let errorClass = "";
+  if (exception?.type === "object") {
+    errorClass = exception.subtype === "null" ? "null" : (exception.className || "Object");
+  } else if (exception) {
+    errorClass = exception.type;
+  } else {
+    // 例外オブジェクトがない場合はメッセージの "TypeError: ..." から取り出す
+    errorClass = /^(?:Uncaught\s+)?(\w*Error)\b/.exec(details?.text || "")?.[1] || "";
+  }
+  return {
+    errorClass,
+    promiseRejection: /^Uncaught \(in promise\)/.test(details?.text || "")
+  };
+}
+
+// ====== コンソール引数の整形 ======
+// Runtime.consoleAPICalled の引数（RemoteObject）を DevTools のコンソールと同じように文字列にする。
+// 書式指定子（%s %d %i %f %o %O %c）を適用し、オブジェクトは RemoteObject.preview から
+// {code: 42, user: {…}} や (3) [1, 2, 3]、Map(1) {"a" => 1} の形式で表示する。
+// settings.consoleExpandDepth が1以上の場合は Runtime.getProperties で指定した深さまで展開し、
+// エントリの consoleArgs に保存する。
+
+/** 整形した引数1つあたりの最大文字数 */
+const MAX_CONSOLE_ARG_LENGTH = 2000;
+
+/** 展開するプロパティの最大数（オブジェクト1つあたり） */
+const MAX_EXPANDED_PROPERTIES = 50;
+
+/** 展開せずに preview の表示を使うオブジェクトのサブタイプ */
+const UNEXPANDED_SUBTYPES = ["null", "error", "regexp", "date", "map", "set", "weakmap", "weakset", "node", "promise", "proxy"];
+
+/**
+ * RemoteObject を DevTools のコンソールと同じ形式の文字列にする
+ * 
+ * @param {Object} obj - CDPのRuntime.RemoteObject
+ * @returns {string} 文字列
+ */
+function formatRemoteObject(obj) {
+  if (!obj) return "undefined";
+  switch (obj.type) {
+    case "string":
+      return obj.value;
+    case "undefined":
+      return "undefined";
+    case "number":
+    case "boolean":
+      return obj.unserializableValue ?? String(obj.value);
+    case "bigint":
+      return obj.unserializableValue || obj.description;
+    case "function": {
+      // 関数は本文ではなく名前と引数だけにする（アロー関数などは最初の行を短くして使う）
+      const source = String(obj.description || "");
+      const signature = /^(?:async\s+)?function\s*\*?\s*([^(]*\([^)]*\))/.exec(source)?.[1];
+      return `ƒ ${signature || truncateText(source.split("\n")[0], 100).text}`;
+    }
+    case "object":
+      if (obj.subtype === "null") return "null";
+      if (obj.subtype === "error") return obj.description || obj.className || "Error";
+      if (obj.preview) return formatObjectPreview(obj.preview);
+      return obj.description || obj.className || "Object";
+  }
+  return obj.description ?? String(obj.value);
+}
+
+/**
+ * Runtime.ObjectPreview を文字列にする
+ * 
+ * @param {Object} preview - CDPのRuntime.ObjectPreview
+ * @returns {string} 文字列
+ */
+function formatObjectPreview(preview) {
+  if (preview.type !== "object") {
+    return preview.type === "string" ? JSON.stringify(preview.description ?? "") : String(preview.description);
+  }
+  const overflow = preview.overflow ? ", …" : "";
+  const properties = preview.properties || [];
+
+  switch (preview.subtype) {
+    case "array":
+    case "typedarray": {
+      const items = properties.map((prop) =>
+        /^\d+$/.test(prop.name) ? formatPropertyPreview(prop) : `${prop.name}: ${formatPropertyPreview(prop)}`);
+      const length = /\((\d+)\)$/.exec(preview.description || "")?.[1];
+      return `${length ? `(${length}) ` : ""}[${items.join(", ")}${overflow}]`;
+    }
+    case "map":
+    case "set": {
+      const items = (preview.entries || []).map((entry) => entry.key
+        ? `${formatObjectPreview(entry.key)} => ${formatObjectPreview(entry.value)}`
+        : formatObjectPreview(entry.value));
+      return `${preview.description} {${items.join(", ")}${overflow}}`;
+    }
+    case "null":
+    case "error":
+    case "regexp":
+    case "date":
+    case "node":
+      return preview.description || "";
+    default: {
+      const items = properties.map((prop) => `${prop.name}: ${formatPropertyPreview(prop)}`);
+      const className = preview.description && preview.description !== "Object" ? `${preview.description} ` : "";
+      return `${className}{${items.join(", ")}${overflow}}`;
+    }
+  }
+}
+
+/**
+ * Runtime.PropertyPreview（プレビュー内のプロパティの値）を文字列にする
+ * 
+ * @param {Object} prop - CDPのRuntime.PropertyPreview
+ * @returns {string} 文字列
+ */
+function formatPropertyPreview(prop) {
+  if (prop.valuePreview) return formatObjectPreview(prop.valuePreview);
+  switch (prop.type) {
+    case "string":
+      return JSON.stringify(prop.value ?? "");
+    case "function":
+      return "ƒ";
+    case "object":
+      if (prop.subtype === "null") return "null";
+      return prop.value === "Object" ? "{…}" : (prop.value || "{…}");
+  }
+  return prop.value ?? prop.type;
+}
+
+/**
+ * コンソールの引数を DevTools と同じように1行の文字列にする
+ * 
+ * 最初の引数が文字列の場合は書式指定子を適用し、残りの引数は空白区切りで後ろに付ける。
+ * 
+ * @param {Array<Object>} args - CDPのRuntime.RemoteObject の配列
+ * @returns {string} 文字列
+ */
+function formatConsoleArgs(args) {
+  const clip = (text) => truncateText(text, MAX_CONSOLE_ARG_LENGTH).text;
+  const [first, ...rest] = args;
+  if (first?.type !== "string" || !first.value.includes("%")) {
+    return args.map((arg) => clip(formatRemoteObject(arg))).join(" ");
+  }
+
+  const remaining = rest.slice();
+  const text = first.value.replace(/%([sdifoOc%])/g, (match, specifier) => {
+    if (specifier === "%") return "%";
+    if (remaining.length === 0) return match;
+    const arg = remaining.shift();
+    switch (specifier) {
+      case "c":
+        // スタイルの指定は表示しない
+        return "";
+      case "d":
+      case "i": {
+        const number = Number(arg.value ?? arg.unserializableValue ?? arg.description);
+        return Number.isNaN(number) ? "NaN" : String(Math.trunc(number));
+      }
+      case "f":
+        return String(Number(arg.value ?? arg.unserializableValue ?? arg.description));
+      default:
+        return clip(formatRemoteObject(arg));
+    }
+  });
+  return [clip(text), ...remaining.map((arg) => clip(formatRemoteObject(arg)))].join(" ");
+}
+
+/**
+ * RemoteObject を Runtime.getProperties で JSON にできる値に展開
+ * 
+ * 指定した深さを超えたオブジェクトや、展開しないサブタイプは formatRemoteObject の文字列にする。
+ * 取得したプロパティのオブジェクトは objectGroup に入れ、展開の後に呼び出し元でまとめて解放する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} obj - CDPのRuntime.RemoteObject
+ * @param {number} depth - 残りの展開の深さ
+ * @param {string} objectGroup - 取得したオブジェクトを入れるグループ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<*>} 展開した値
+ */
+async function expandRemoteObject(tabId, obj, depth, objectGroup, sessionId) {
+  if (obj?.type !== "object" || !obj.objectId || depth <= 0 || UNEXPANDED_SUBTYPES.includes(obj.subtype)) {
+    if (["string", "number", "boolean"].includes(obj?.type) && obj.unserializableValue == null) {
+      return obj.value;
+    }
+    return truncateText(formatRemoteObject(obj), MAX_CONSOLE_ARG_LENGTH).text;
+  }
+
+  const { result } = await chrome.debugger.sendCommand(debuggerTarget(tabId, sessionId), "Runtime.getProperties", {
+    objectId: obj.objectId,
+    ownProperties: true,
+    generatePreview: true,
+    objectGroup
+  });
+  // getter/setter は呼び出さない（副作用を避けるため値を持つプロパティだけにする）
+  const properties = (result || []).filter((prop) => prop.enumerable && "value" in prop);
+  const shown = properties.slice(0, MAX_EXPANDED_PROPERTIES);
+  const values = [];
+  for (const prop of shown) {
+    values.push([prop.name, await expandRemoteObject(tabId, prop.value, depth - 1, objectGroup, sessionId)]);
+  }
+  const more = properties.length - shown.length;
+
+  if (obj.subtype === "array" || obj.subtype === "typedarray") {
+    const items = values.map(([, value]) => value);
+    return more > 0 ? [...items, `… ${more} more`] : items;
+  }
+  const expanded = Object.fromEntries(values);
+  if (more > 0) expanded["…"] = `${more} more`;
+  return expanded;
+}
+
+/**
+ * コンソールの引数のオブジェクトを解放（ページ側で参照が残り続けないように）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Array<Object>} args - CDPのRuntime.RemoteObject の配列
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function releaseConsoleArgs(tabId, args, sessionId) {
+  const target = debuggerTarget(tabId, sessionId);
+  args.filter((arg) => arg?.objectId).forEach((arg) => {
+    chrome.debugger.sendCommand(target, "Runtime.releaseObject", { objectId: arg.objectId }).catch(() => {});
+  });
+}
+
+/**
+ * コンソールの引数のうちオブジェクトを展開してエントリに保存
+ * 
+ * 展開が終わったら、展開で取得したオブジェクト（エントリごとの objectGroup）と引数のオブジェクトを解放する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ * @param {Array<Object>} args - CDPのRuntime.RemoteObject の配列
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Promise<boolean>} 展開したオブジェクトがあったか
+ */
+async function expandConsoleArgs(tabId, entry, args, sessionId) {
+  if (!args.some((arg) => arg?.objectId)) return false;
+  if (!(settings.consoleExpandDepth > 0)) {
+    releaseConsoleArgs(tabId, args, sessionId);
+    return false;
+  }
+  const objectGroup = `console-expand:${entry.id}`;
+  try {
+    entry.consoleArgs = [];
+    for (const arg of args) {
+      entry.consoleArgs.push(await expandRemoteObject(tabId, arg, settings.consoleExpandDepth, objectGroup, sessionId));
+    }
+    return true;
+  } catch (error) {
+    console.warn('コンソールの引数を展開できませんでした:', error);
+    delete entry.consoleArgs;
+    return false;
+  } finally {
+    chrome.debugger.sendCommand(debuggerTarget(tabId, sessionId), "Runtime.releaseObjectGroup", { objectGroup }).catch(() => {});
+    releaseConsoleArgs(tabId, args, sessionId);
+  }
+}
+
+// ====== ブラウザのIssue（Audits） ======
+// DevTools の Issues パネルと同じく、Audits.issueAdded で例外にならない問題（CSP違反・混在コンテンツ・
+// Cookie・CORS・非推奨APIなど）を受け取り、source: "issue" のエントリにする。
+
+/** InspectorIssueCode から設定の分類（settings.js の ISSUE_CATEGORIES）への対応 */
+const ISSUE_CODE_CATEGORIES = {
+  ContentSecurityPolicyIssue: "csp",
+  MixedContentIssue: "mixedContent",
+  CookieIssue: "cookie",
+  CorsIssue: "cors",
+  DeprecationIssue: "deprecation"
+};
+
+/** CSP違反の種類の表示名 */
+const CSP_VIOLATION_LABELS = {
+  kInlineViolation: "inline code",
+  kEvalViolation: "eval",
+  kWasmEvalViolation: "WebAssembly eval",
+  kTrustedTypesSinkViolation: "a Trusted Types sink",
+  kTrustedTypesPolicyViolation: "a Trusted Types policy"
+};
+
+/** 混在コンテンツの処理結果の表示名 */
+const MIXED_CONTENT_LABELS = {
+  MixedContentBlocked: "blocked",
+  MixedContentAutomaticallyUpgraded: "automatically upgraded",
+  MixedContentWarning: "loaded with a warning"
+};
+
+/**
+ * Issue の分類を取得
+ * 
+ * @param {string} code - InspectorIssueCode
+ * @returns {string} 分類（該当しない場合は "other"）
+ */
+function getIssueCategory(code) {
+  return ISSUE_CODE_CATEGORIES[code] || "other";
+}
+
+/**
+ * Issue を読みやすい1行の説明と発生位置にまとめる
+ * 
+ * @param {Object} issue - CDPのAudits.InspectorIssue
+ * @returns {{text: string, url: string, line: number|undefined, column: number|undefined, scriptId: string|undefined}} 説明と発生位置
+ */
+function summarizeIssue(issue) {
+  const code = issue?.code || "UnknownIssue";
+  const details = Object.values(issue?.details || {})[0] || {};
+  const location = details.sourceCodeLocation || details.location;
+  const position = {
+    url: location?.url || details.request?.url || "",
+    line: location?.lineNumber,
+    column: location?.columnNumber,
+    scriptId: location?.scriptId
+  };
+
+  switch (code) {
+    case "ContentSecurityPolicyIssue": {
+      const blocked = details.blockedURL || CSP_VIOLATION_LABELS[details.contentSecurityPolicyViolationType] || "a resource";
+      const reportOnly = details.isReportOnly ? " (report-only)" : "";
+      return { ...position, text: `Content Security Policy${reportOnly}: "${details.violatedDirective || "?"}" blocked ${blocked}` };
+    }
+    case "MixedContentIssue":
+      return {
+        ...position,
+        url: details.mainResourceURL || position.url,
+        text: `Mixed content ${MIXED_CONTENT_LABELS[details.resolutionStatus] || details.resolutionStatus || ""}: ` +
+          `${details.resourceType ? `${details.resourceType} ` : ""}${details.insecureURL || ""}`.trim()
+      };
+    case "CookieIssue": {
+      const reasons = [...(details.cookieExclusionReasons || []), ...(details.cookieWarningReasons || [])];
+      const name = details.cookie?.name || details.rawCookieLine || "";
+      const verb = details.cookieExclusionReasons?.length ? "blocked" : "warning";
+      return {
+        ...position,
+        url: details.cookieUrl || position.url,
+        text: `Cookie ${name ? `"${name}" ` : ""}${verb} on ${details.operation || "access"}: ${reasons.join(", ") || "unknown reason"}`
+      };
+    }
+    case "CorsIssue": {
+      const status = details.corsErrorStatus || {};
+      const parameter = status.failedParameter ? ` (${status.failedParameter})` : "";
+      return { ...position, text: `CORS error ${status.corsError || ""}${parameter}: ${details.request?.url || ""}`.trim() };
+    }
+    case "DeprecationIssue":
+      return { ...position, text: `Deprecated feature used: ${details.type || details.deprecationType || "unknown"}` };
+    default:
+      return { ...position, text: `Browser issue: ${code.replace(/Issue$/, "")}` };
+  }
+}
+
+// ====== ネットワーク追跡 ======
+
+/**
+ * 進行中のネットワークリクエスト
+ * タブIDをキーとして、requestId（子ターゲットはセッションIDを付けたもの）→ リクエスト情報 の Map を保持する
+ */
+const networkRequests = new Map();
+
+// タブごとに追跡するリクエストの最大数（完了通知が来ないリクエストで肥大化しないように）
+const MAX_TRACKED_REQUESTS = 500;
+
+// エラーのレスポンスのエントリを転送する前に、レスポンスボディの取得を待つ最大の時間（ミリ秒）
+const RESPONSE_BODY_WAIT_MS = 10000;
+
+/**
+ * タブのリクエスト追跡用 Map を取得
+ * 
+ * @param {number} tabId - タブID
+ * @returns {Map<string, Object>} requestId → リクエスト情報
+ */
+function getNetworkRequests(tabId) {
+  if (!networkRequests.has(tabId)) {
+    networkRequests.set(tabId, new Map());
+  }
+  return networkRequests.get(tabId);
+}
+
+/**
+ * CDPのInitiatorを保存用の形式に変換
+ * 
+ * @param {Object|undefined} initiator - Network.Initiator
+ * @returns {Object|null} { type, url, line, column }（行・列は0始まり）
+ */
+function buildInitiator(initiator) {
+  if (!initiator) return null;
+  const topFrame = initiator.stack?.callFrames?.[0];
+  return {
+    type: initiator.type || "other",
+    url: initiator.url || topFrame?.url || "",
+    line: initiator.lineNumber ?? topFrame?.lineNumber,
+    column: initiator.columnNumber ?? topFrame?.columnNumber
+  };
+}
+
+/**
+ * Network.requestWillBeSent を処理（リクエスト情報を記録）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - requestWillBeSentパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleRequestWillBeSent(tabId, params, sessionId) {
+  const requests = getNetworkRequests(tabId);
+  requests.set(scopedId(sessionId, params.requestId), {
+    requestId: params.requestId,
+    sessionId,
+    url: params.request?.url || "",
+    method: params.request?.method || "GET",
+    resourceType: params.type || "Other",
+    initiator: buildInitiator(params.initiator),
+    initiatorStack: params.initiator?.stack,
+    postData: params.request?.postData,
+    hasPostData: !!params.request?.hasPostData,
+    startedAt: params.wallTime ? Math.round(params.wallTime * 1000) : Date.now(),
+    timestamp: params.timestamp
+  });
+
+  // 上限を超えた場合は古いものから削除（Mapは挿入順）
+  if (requests.size > MAX_TRACKED_REQUESTS) {
+    requests.delete(requests.keys().next().value);
+  }
+}
+
+/**
+ * 記録済みのリクエスト情報を取り出して削除
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} requestId - リクエストID
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Object|null} リクエスト情報
+ */
+function takeNetworkRequest(tabId, requestId, sessionId) {
+  const requests = networkRequests.get(tabId);
+  const key = scopedId(sessionId, requestId);
+  const request = requests?.get(key) || null;
+  requests?.delete(key);
+  return request;
+}
+
+/**
+ * Network.loadingFinished を処理（追跡を終了）
+ * 
+ * エラーとして記録済みのリクエストは、読み込み完了後でないと取得できない
+ * レスポンスボディをここで取得する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - loadingFinishedパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleLoadingFinished(tabId, params, sessionId) {
+  const request = takeNetworkRequest(tabId, params?.requestId, sessionId);
+  if (request?.errorEntry) {
+    captureResponseBody(tabId, request, request.errorEntry).finally(() => request.resolveResponseBody?.());
+  }
+}
+
+/**
+ * ボディを記録する対象のリクエストか（XHR/Fetchのみ）
+ * 
+ * @param {Object|null} request - 記録済みのリクエスト情報
+ * @returns {boolean} 対象の場合はtrue
+ */
+function isApiRequest(request) {
+  return request?.resourceType === "XHR" || request?.resourceType === "Fetch";
+}
+
+/**
+ * 失敗したリクエストのレスポンスボディを取得してエントリに記録
+ * 
+ * Content-Typeが許可リストにない場合や、ボディがバイナリ（base64Encoded）で返された場合は記録しない。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} request - 記録済みのリクエスト情報
+ * @param {Object} entry - エラー情報
+ */
+async function captureResponseBody(tabId, request, entry) {
+  if (!settings.captureResponseBody || !isApiRequest(request)) return;
+  const mimeType = entry.network?.mimeType || "";
+  if (!settings.responseBodyContentTypes.some((type) => mimeType.startsWith(type))) return;
+
+  try {
+    const res = await chrome.debugger.sendCommand(debuggerTarget(tabId, request.sessionId), "Network.getResponseBody", { requestId: request.requestId });
+    if (res.base64Encoded) return;
+    const { text, truncated } = truncateText(res.body, settings.bodyMaxLength);
+    entry.network.responseBody = text;
+    entry.network.responseBodyTruncated = truncated;
+    setChromeSaveState(tabId);
+  } catch (error) {
+    console.warn('レスポンスボディを取得できませんでした:', error);
+  }
+}
+
+/**
+ * 失敗したリクエストのリクエストボディを取得してエントリに記録
+ * 
+ * requestWillBeSent に含まれない大きなボディは Network.getRequestPostData で取得する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object|null} request - 記録済みのリクエスト情報
+ * @param {Object} entry - エラー情報
+ */
+async function captureRequestPostData(tabId, request, entry) {
+  if (!settings.captureRequestPostData || !isApiRequest(request) || !request.hasPostData) return;
+
+  try {
+    const postData = request.postData != null
+      ? request.postData
+      : (await chrome.debugger.sendCommand(debuggerTarget(tabId, request.sessionId), "Network.getRequestPostData", { requestId: request.requestId })).postData;
+    const { text, truncated } = truncateText(postData, settings.bodyMaxLength);
+    entry.network.requestBody = text;
+    entry.network.requestBodyTruncated = truncated;
+    setChromeSaveState(tabId);
+  } catch (error) {
+    console.warn('リクエストボディを取得できませんでした:', error);
+  }
+}
+
+/**
+ * タブのネットワーク追跡情報を破棄
+ * 
+ * @param {number} tabId - タブID
+ */
+function clearNetworkRequests(tabId) {
+  networkRequests.delete(tabId);
+}
+
+/**
+ * HTTPステータスがエラーとして扱う範囲に含まれるか
+ * 
+ * @param {number} status - HTTPステータス
+ * @returns {boolean} エラー扱いの場合はtrue
+ */
+function isErrorStatus(status) {
+  return settings.networkErrorStatuses.some(({ min, max }) => status >= min && status <= max);
+}
+
+/**
+ * ネットワークエラーのエントリ用に詳細情報をまとめる
+ * 
+ * @param {Object|null} request - 記録済みのリクエスト情報
+ * @param {Object} extra - 追加の情報（status, errorText 等）
+ * @param {number} [timestamp] - 完了時刻（CDPのMonotonicTime）
+ * @returns {Object} network 詳細
+ */
+function buildNetworkDetails(request, extra, timestamp) {
+  const duration = request?.timestamp != null && timestamp != null
+    ? Math.round((timestamp - request.timestamp) * 1000)
+    : undefined;
+  return {
+    requestId: request?.requestId,
+    url: request?.url || "",
+    method: request?.method || "",
+    resourceType: request?.resourceType || "",
+    initiator: request?.initiator || null,
+    startedAt: request?.startedAt,
+    duration,
+    ...extra
+  };
+}
+
+/**
+ * Base64文字列をUTF-8テキストとしてデコード
+ * 
+ * @param {string} base64 - Base64文字列
+ * @returns {string} デコードされたテキスト
+ */
+function decodeBase64Text(base64) {
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)));
+}
+
+/**
+ * テキストを最大文字数で切り詰める
+ * 
+ * @param {string} text - 対象のテキスト
+ * @param {number} maxLength - 最大文字数
+ * @returns {{text: string, truncated: boolean}} 切り詰めた結果
+ */
+function truncateText(text, maxLength) {
+  const value = String(text ?? "");
+  if (value.length <= maxLength) return { text: value, truncated: false };
+  return { text: value.slice(0, maxLength), truncated: true };
+}
+
+// ====== ブレッドクラム（エラーまでの操作の記録） ======
+// タブごとに直近の出来事（ページ遷移・ネットワーク・コンソールの info/log・クリックと入力）をリングバッファに残し、
+// 記録するエントリに最新の settings.breadcrumbsPerEntry 件を breadcrumbs として添付する。
+// クリックと入力は Runtime.addBinding で公開した関数をページのスクリプトから呼び、Runtime.bindingCalled で受け取る。
+
+/** タブごとのブレッドクラム（古い順） */
+const breadcrumbBuffers = new Map();
+
+/** ネットワークのブレッドクラムとして記録するリソースの種類（失敗したリクエストは種類を問わず記録する） */
+const BREADCRUMB_RESOURCE_TYPES = ["Document", "XHR", "Fetch", "EventSource", "WebSocket"];
+
+/** ページからクリックと入力を受け取るバインディングの名前 */
+const BREADCRUMB_BINDING = "__errorNotifierBreadcrumb";
+
+/**
+ * ページで実行するクリックと入力の監視スクリプト
+ * 
+ * 入力の値は送らない。フォームの要素は要素と入力の種類だけを送り、テキストはそれ以外の要素の innerText から取る。
+ */
+const INTERACTION_SCRIPT = `(() => {
+  const send = globalThis.${BREADCRUMB_BINDING};
+  if (typeof send !== "function" || globalThis.${BREADCRUMB_BINDING}Installed) return;
+  globalThis.${BREADCRUMB_BINDING}Installed = true;
+  const describe = (el) => {
+    if (!(el instanceof Element)) return "";
+    const id = el.id ? "#" + el.id : "";
+    const name = el.getAttribute("name") ? "[name=" + el.getAttribute("name") + "]" : "";
+    const cls = !id && typeof el.className === "string" && el.className.trim()
+      ? "." + el.className.trim().split(/\\s+/).slice(0, 2).join(".") : "";
+    return el.tagName.toLowerCase() + id + name + cls;
+  };
+  addEventListener("click", (e) => {
+    const el = e.target instanceof Element ? e.target.closest("a, button, input, select, textarea, label, [role], [onclick]") || e.target : null;
+    if (!el) return;
+    if (el.matches("input, select, textarea") || el.isContentEditable) {
+      send(JSON.stringify({ type: "click", target: describe(el), inputType: el.type || "" }));
+      return;
+    }
+    const text = (el.innerText || "").trim().replace(/\\s+/g, " ").slice(0, 40);
+    send(JSON.stringify({ type: "click", target: describe(el), text }));
+  }, true);
+  addEventListener("change", (e) => {
+    send(JSON.stringify({ type: "input", target: describe(e.target), inputType: e.target.type || "" }));
+  }, true);
+})();`;
+
+/**
+ * ブレッドクラムを追加（上限を超えた分は古い順に削除）
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} category - 種類（"navigation" / "network" / "console" / "click" / "input"）
+ * @param {string} message - 内容
+ */
+function addBreadcrumb(tabId, category, message) {
+  if (!breadcrumbBuffers.has(tabId)) {
+    breadcrumbBuffers.set(tabId, []);
+  }
+  const buffer = breadcrumbBuffers.get(tabId);
+  buffer.push({ ts: Date.now(), category, message: String(message).slice(0, 300) });
+  const overflow = buffer.length - settings.breadcrumbBufferSize;
+  if (overflow > 0) {
+    buffer.splice(0, overflow);
+  }
+}
+
+/**
+ * エントリに添付する直近のブレッドクラムを取得
+ * 
+ * @param {number} tabId - タブID
+ * @returns {Array<Object>} { ts, category, message } の配列（古い順）
+ */
+function getRecentBreadcrumbs(tabId) {
+  const count = settings.breadcrumbsPerEntry;
+  return count > 0 ? (breadcrumbBuffers.get(tabId) || []).slice(-count) : [];
+}
+
+/**
+ * ネットワークのブレッドクラムを追加
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object|null} request - 記録済みのリクエスト情報
+ * @param {string} resourceType - リソースの種類
+ * @param {string} result - 結果（ステータスコードやエラー）
+ * @param {boolean} failed - 失敗したリクエストか
+ */
+function addNetworkBreadcrumb(tabId, request, resourceType, result, failed) {
+  if (!settings.breadcrumbSources.network || !request) return;
+  if (!failed && !BREADCRUMB_RESOURCE_TYPES.includes(resourceType)) return;
+  addBreadcrumb(tabId, "network", `${request.method} ${request.url} → ${result}`);
+}
+
+/**
+ * ページのクリックと入力の監視を開始
+ * 
+ * @param {Object} target - デバッガーのターゲット
+ * @returns {Promise<void>}
+ */
+async function installInteractionBreadcrumbs(target) {
+  try {
+    await chrome.debugger.sendCommand(target, "Runtime.addBinding", { name: BREADCRUMB_BINDING });
+    await chrome.debugger.sendCommand(target, "Page.addScriptToEvaluateOnNewDocument", { source: INTERACTION_SCRIPT });
+    await chrome.debugger.sendCommand(target, "Runtime.evaluate", { expression: INTERACTION_SCRIPT });
+  } catch (error) {
+    console.warn('クリックと入力の監視を開始できませんでした:', error);
+  }
+}
+
+/**
+ * Runtime.bindingCalled を処理（ページから送られたクリックと入力を記録）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - bindingCalledパラメータ
+ */
+function handleBindingCalled(tabId, params) {
+  if (params?.name !== BREADCRUMB_BINDING || !settings.breadcrumbSources.interaction) return;
+  let event;
+  try {
+    event = JSON.parse(params.payload);
+  } catch {
+    return;
+  }
+  if (event?.type === "click") {
+    const detail = event.inputType ? ` (${event.inputType})` : event.text ? ` "${event.text}"` : "";
+    addBreadcrumb(tabId, "click", `${event.target}${detail}`);
+  } else if (event?.type === "input") {
+    addBreadcrumb(tabId, "input", `${event.target}${event.inputType ? ` (${event.inputType})` : ""}`);
+  }
+}
+
+/**
+ * タブのブレッドクラムを破棄
+ * @param {number} tabId - タブID
+ */
+function clearBreadcrumbs(tabId) {
+  breadcrumbBuffers.delete(tabId);
+}
+
+// ====== 外部コレクターへの転送 ======
+
+/**
+ * 送信待ちのエントリ（{ tabId, entry } の配列）
+ */
+let collectorBuffer = [];
+
+// 送信待ちのエントリを定期的に送信するタイマー
+let collectorFlushTimer = null;
+
+// 再送を行うタイマー
+let collectorRetryTimer = null;
+
+// 再送キューの読み書きを直列化するための Promise
+let collectorQueueTask = Promise.resolve();
+
+// 再送キューに保持する最大件数（超えた分は古い順に破棄）
+const MAX_COLLECTOR_QUEUE = 100;
+
+// 再送間隔（初回）と上限。失敗するたびに2倍にする
+const COLLECTOR_RETRY_BASE_MS = 5000;
+const COLLECTOR_RETRY_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * エントリをコレクターへの送信待ちに追加
+ * 
+ * バッチサイズに達したらすぐに、それ以外は送信間隔ごとにまとめて送信する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ */
+function forwardToCollector(tabId, entry) {
+  if (!settings.collectorEnabled || !settings.collectorUrl) return;
+  collectorBuffer.push({ tabId, entry });
+  if (collectorBuffer.length >= settings.collectorBatchSize) {
+    flushCollector();
+    return;
+  }
+  if (!collectorFlushTimer) {
+    collectorFlushTimer = setTimeout(flushCollector, settings.collectorFlushInterval * 1000);
+  }
+}
+
+/**
+ * 送信待ちのエントリをコレクターに送信（失敗した分は再送キューへ）
+ * 
+ * @returns {Promise<void>}
+ */
+async function flushCollector() {
+  clearTimeout(collectorFlushTimer);
+  collectorFlushTimer = null;
+  const items = collectorBuffer;
+  collectorBuffer = [];
+  if (items.length === 0) return;
+
+  const failed = [];
+  for (const delivery of splitCollectorDeliveries(items)) {
+    try {
+      await sendToCollector(delivery);
+    } catch (error) {
+      console.warn('コレクターへの送信に失敗しました:', error);
+      failed.push(delivery);
+    }
+  }
+  if (failed.length > 0) {
+    await enqueueCollectorRetry(failed);
+  }
+}
+
+/**
+ * 送信単位に分割（Sentry形式は1リクエスト1イベント、JSON形式はまとめて1リクエスト）
+ * 
+ * @param {Array<Object>} items - { tabId, entry } の配列
+ * @returns {Array<Array<Object>>} 送信単位ごとの配列
+ */
+function splitCollectorDeliveries(items) {
+  return settings.collectorFormat === "sentry" ? items.map((item) => [item]) : [items];
+}
+
+/**
+ * 1回分のエントリをコレクターにPOST
+ * 
+ * @param {Array<Object>} items - { tabId, entry } の配列
+ * @returns {Promise<void>} 2xx以外の場合はエラー
+ */
+async function sendToCollector(items) {
+  const { body, contentType } = buildCollectorRequest(items);
+  const res = await fetch(settings.collectorUrl, {
+    method: "POST",
+    headers: { "Content-Type": contentType, ...settings.collectorHeaders },
+    body
+  });
+  if (!res.ok) {
+    throw new Error(`コレクターがエラーを返しました: ${res.status}`);
+  }
+}
+
+/**
+ * 送信するリクエストの本文を作成（settings.collectorFormat に従う）
+ * 
+ * @param {Array<Object>} items - { tabId, entry } の配列
+ * @returns {{body: string, contentType: string}} 本文とContent-Type
+ */
+function buildCollectorRequest(items) {
+  if (settings.collectorFormat === "sentry") {
+    return { body: buildSentryEnvelope(items[0]), contentType: "application/x-sentry-envelope" };
+  }
+  return {
+    body: JSON.stringify({
+      sentAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      extensionVersion: chrome.runtime.getManifest().version,
+      entries: items.map(({ tabId, entry }) => ({ tabId, ...entry }))
+    }),
+    contentType: "application/json"
+  };
+}
+
+/**
+ * エントリをSentryのエンベロープ形式に変換
+ * 
+ * @param {Object} item - { tabId, entry }
+ * @returns {string} エンベロープ（ヘッダー・アイテムヘッダー・イベントの3行）
+ */
+function buildSentryEnvelope({ tabId, entry }) {
+  const eventId = (entry.id || crypto.randomUUID()).replace(/-/g, "");
+  const frames = (Array.isArray(entry.stack) ? entry.stack : [])
+    .filter((frame) => !frame.asyncBoundary)
+    .map((frame) => ({
+      filename: frame.url || "<anonymous>",
+      function: frame.functionName || "?",
+      lineno: frame.line != null ? frame.line + 1 : undefined,
+      colno: frame.column != null ? frame.column + 1 : undefined,
+      in_app: true
+    }))
+    .reverse(); // Sentryは呼び出し元が先
+  const level = entry.level === "error" || entry.level === "warning" ? entry.level : "info";
+  const event = {
+    event_id: eventId,
+    timestamp: entry.ts / 1000,
+    platform: "javascript",
+    level,
+    logger: entry.source,
+    request: entry.pageUrl ? { url: entry.pageUrl, headers: { "User-Agent": navigator.userAgent } } : undefined,
+    fingerprint: entry.fingerprint ? [entry.fingerprint] : undefined,
+    tags: { source: entry.source, tabId: String(tabId) },
+    extra: { url: entry.url, line: entry.line, column: entry.column, network: entry.network, sourceSnippet: entry.sourceSnippet }
+  };
+  if (entry.source === "exception") {
+    const [type, ...rest] = String(entry.text || "").split(": ");
+    event.exception = {
+      values: [{
+        type: rest.length > 0 ? type : "Error",
+        value: rest.length > 0 ? rest.join(": ") : entry.text,
+        stacktrace: frames.length > 0 ? { frames } : undefined
+      }]
+    };
+  } else {
+    event.message = { formatted: entry.text || "" };
+    if (frames.length > 0) {
+      event.threads = { values: [{ stacktrace: { frames } }] };
+    }
+  }
+
+  return [
+    JSON.stringify({ event_id: eventId, sent_at: new Date().toISOString(), sdk: { name: "error-notifier", version: chrome.runtime.getManifest().version } }),
+    JSON.stringify({ type: "event", content_type: "application/json" }),
+    JSON.stringify(event)
+  ].join("\n") + "\n";
+}
+
+/**
+ * 再送までの待ち時間を取得（指数バックオフ）
+ * 
+ * @param {number} attempts - これまでの送信回数
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function getCollectorRetryDelay(attempts) {
+  return Math.min(COLLECTOR_RETRY_BASE_MS * 2 ** (attempts - 1), COLLECTOR_RETRY_MAX_MS);
+}
+
+/**
+ * 再送キュー（chrome.storage.local の "collectorQueue"）を直列に更新
+ * 
+ * @param {function(Array<Object>): Promise<Array<Object>|null>} update - 現在のキューを受け取り新しいキューを返す関数（変更がない場合はnull）
+ * @returns {Promise<Array<Object>>} 更新後のキュー
+ */
+function updateCollectorQueue(update) {
+  collectorQueueTask = collectorQueueTask.then(async () => {
+    const { collectorQueue = [] } = await chrome.storage.local.get(["collectorQueue"]);
+    const updated = await update(collectorQueue);
+    if (!updated) {
+      // 変更がない場合は書き込まない（再送時刻を過ぎたエントリはないので、タイマーは次の再送時刻になる）
+      scheduleCollectorRetry(collectorQueue);
+      return collectorQueue;
+    }
+    const next = updated.slice(-MAX_COLLECTOR_QUEUE);
+    await chrome.storage.local.set({ collectorQueue: next });
+    scheduleCollectorRetry(next);
+    return next;
+  }).catch((error) => {
+    console.error('再送キューの更新に失敗しました:', error);
+    return [];
+  });
+  return collectorQueueTask;
+}
+
+/**
+ * 送信に失敗したエントリを再送キューに追加
+ * 
+ * @param {Array<Array<Object>>} deliveries - 送信単位ごとの { tabId, entry } の配列
+ * @returns {Promise<void>}
+ */
+async function enqueueCollectorRetry(deliveries) {
+  await updateCollectorQueue(async (queue) => [
+    ...queue,
+    ...deliveries.map((items) => ({
+      id: crypto.randomUUID(),
+      items,
+      attempts: 1,
+      nextAttemptAt: Date.now() + getCollectorRetryDelay(1)
+    }))
+  ]);
+}
+
+/**
+ * 再送時刻を過ぎたキューのエントリを再送
+ * 
+ * 転送が無効な間は何もしない（有効にしたときに applySettings から呼ばれる）。
+ * 
+ * @returns {Promise<void>}
+ */
+async function retryCollectorQueue() {
+  clearTimeout(collectorRetryTimer);
+  collectorRetryTimer = null;
+  if (!settings.collectorEnabled || !settings.collectorUrl) return;
+  await updateCollectorQueue(async (queue) => {
+    const remaining = [];
+    let attempted = false;
+    for (const item of queue) {
+      if (item.nextAttemptAt > Date.now()) {
+        remaining.push(item);
+        continue;
+      }
+      attempted = true;
+      try {
+        await sendToCollector(item.items);
+      } catch (error) {
+        console.warn('コレクターへの再送に失敗しました:', error);
+        item.attempts++;
+        item.nextAttemptAt = Date.now() + getCollectorRetryDelay(item.attempts);
+        remaining.push(item);
+      }
+    }
+    return attempted ? remaining : null;
+  });
+}
+
+/**
+ * 次の再送時刻にタイマーを設定
+ * 
+ * @param {Array<Object>} queue - 再送キュー
+ */
+function scheduleCollectorRetry(queue) {
+  clearTimeout(collectorRetryTimer);
+  collectorRetryTimer = null;
+  if (queue.length === 0 || !settings.collectorEnabled || !settings.collectorUrl) return;
+  const next = Math.min(...queue.map((item) => item.nextAttemptAt));
+  collectorRetryTimer = setTimeout(retryCollectorQueue, Math.max(0, next - Date.now()));
+}
+
+// ====== ネイティブメッセージング ======
+
+/**
+ * ネイティブメッセージングホストとの接続（未接続の場合はnull）
+ */
+let nativePort = null;
+
+// 接続中のホスト名
+let nativePortHostName = "";
+
+// 切断された場合に再接続するタイマー
+let nativeReconnectTimer = null;
+
+// 再接続までの待ち時間
+const NATIVE_RECONNECT_MS = 30 * 1000;
+
+/**
+ * 設定に合わせてネイティブメッセージングホストに接続/切断
+ * 
+ * 接続後は、記録したエントリとアタッチ状態の変化を1メッセージずつ送信し、
+ * ホストからのコマンド（attach / detach / clear / get-history / get-state）を受け付ける。
+ */
+function updateNativeBridge() {
+  clearTimeout(nativeReconnectTimer);
+  nativeReconnectTimer = null;
+
+  if (!settings.nativeBridgeEnabled || !settings.nativeHostName) {
+    nativePort?.disconnect();
+    nativePort = null;
+    return;
+  }
+  if (nativePort && nativePortHostName === settings.nativeHostName) return;
+
+  nativePort?.disconnect();
+  try {
+    const port = chrome.runtime.connectNative(settings.nativeHostName);
+    port.onMessage.addListener((msg) => handleNativeCommand(port, msg));
+    port.onDisconnect.addListener(() => {
+      console.warn('ネイティブメッセージングホストから切断されました:', chrome.runtime.lastError?.message);
+      if (nativePort !== port) return;
+      nativePort = null;
+      if (settings.nativeBridgeEnabled) {
+        nativeReconnectTimer = setTimeout(updateNativeBridge, NATIVE_RECONNECT_MS);
+      }
+    });
+    nativePort = port;
+    nativePortHostName = settings.nativeHostName;
+    postToNativeBridge({ type: "hello", extensionVersion: chrome.runtime.getManifest().version });
+  } catch (error) {
+    console.error('ネイティブメッセージングホストに接続できませんでした:', error);
+    nativePort = null;
+  }
+}
+
+/**
+ * ネイティブメッセージングホストにメッセージを送信（未接続の場合は何もしない）
+ * 
+ * @param {Object} message - 送信するメッセージ（type を含む）
+ */
+function postToNativeBridge(message) {
+  if (!nativePort) return;
+  try {
+    nativePort.postMessage({ ...message, ts: Date.now() });
+  } catch (error) {
+    console.warn('ネイティブメッセージングホストへの送信に失敗しました:', error);
+  }
+}
+
+/**
+ * 記録したエントリをホストに送信
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ */
+function notifyNativeEntry(tabId, entry) {
+  postToNativeBridge({ type: "entry", tabId, entry });
+}
+
+/**
+ * アタッチ状態の変化をホストに送信
+ * 
+ * @param {number} tabId - タブID
+ * @param {boolean} attached - アタッチされているか
+ * @param {string} [reason] - デタッチの理由（外部要因の場合）
+ */
+function notifyNativeAttachChange(tabId, attached, reason) {
+  postToNativeBridge({ type: attached ? "attached" : "detached", tabId, reason });
+}
+
+/**
+ * ホストからのコマンドを処理
+ * 
+ * コマンドの形式：{ command, tabId?, requestId? }
+ * tabId を省略した場合はアクティブなタブが対象になる。
+ * 応答は { type: "response", requestId, command, ...結果 } で返す。
+ * 
+ * @param {Object} port - 受信したポート
+ * @param {Object} msg - コマンド
+ */
+async function handleNativeCommand(port, msg) {
+  const command = msg?.command;
+  const respond = (res) => {
+    try {
+      port.postMessage({ type: "response", requestId: msg?.requestId, command, ...res });
+    } catch (error) {
+      console.warn('ネイティブメッセージングホストへの応答に失敗しました:', error);
+    }
+  };
+
+  const tabId = msg?.tabId ?? await getActiveTabId();
+  if (!tabId) {
+    respond({ ok: false, error: "No active tab." });
+    return;
+  }
+
+  switch (command) {
+    case "attach":
+      await handleAttachDebugger(tabId, respond);
+      break;
+    case "detach":
+      await handleDetachDebugger(tabId, respond);
+      break;
+    case "clear":
+      handleClearErrors(tabId, respond);
+      break;
+    case "get-history":
+      handleGetErrorHistory(tabId, respond);
+      break;
+    case "get-state":
+      handleGetDebugState(tabId, respond);
+      break;
+    default:
+      respond({ ok: false, error: `Unknown command: ${command}` });
+  }
+}
+
+// ====== ダッシュボード ======
+// dashboard.html は chrome.runtime.connect({ name: "dashboard" }) で接続し、
+// タブの状態が変わるたびに { type: "tabs-changed", tabIds } を受け取って再取得する。
+
+/** 接続中のダッシュボードのポート */
+const dashboardPorts = new Set();
+
+/** 通知待ちのタブID（短時間の変化をまとめて通知する） */
+const pendingDashboardTabIds = new Set();
+
+/** 通知のタイマー */
+let dashboardNotifyTimer = null;
+
+/** 通知をまとめる間隔（ミリ秒） */
+const DASHBOARD_NOTIFY_MS = 300;
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "dashboard") return;
+  dashboardPorts.add(port);
+  port.onDisconnect.addListener(() => dashboardPorts.delete(port));
+});
+
+/**
+ * タブの状態が変わったことをダッシュボードに通知
+ * 
+ * CDPのイベントは短時間に大量に届くため、DASHBOARD_NOTIFY_MS ごとにまとめて送信する。
+ * 
+ * @param {number} tabId - タブID
+ */
+function notifyDashboard(tabId) {
+  if (dashboardPorts.size === 0) return;
+  pendingDashboardTabIds.add(tabId);
+  if (dashboardNotifyTimer) return;
+  dashboardNotifyTimer = setTimeout(() => {
+    dashboardNotifyTimer = null;
+    const message = { type: "tabs-changed", tabIds: Array.from(pendingDashboardTabIds) };
+    pendingDashboardTabIds.clear();
+    dashboardPorts.forEach((port) => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        dashboardPorts.delete(port);
+      }
+    });
+  }, DASHBOARD_NOTIFY_MS);
+}
+
+/**
+ * ダッシュボード用に全タブの状態を取得
+ * 
+ * 開いているタブと tabStates に記録のあるタブをまとめ、開いているタブの並び順で返す。
+ * 
+ * @returns {Promise<Array<Object>>} { tabId, title, url, favIconUrl, open, attached, detachReason, errorCount, historyCount, newErrorInfo }
+ */
+async function getDashboardTabs() {
+  const openTabs = await chrome.tabs.query({});
+  const tabIds = [...openTabs.map((tab) => tab.id), ...Array.from(tabStates.keys())];
+  const tabInfo = new Map(openTabs.map((tab) => [tab.id, tab]));
+
+  return Array.from(new Set(tabIds)).map((tabId) => {
+    const tab = tabInfo.get(tabId);
+    const tabState = tabStates.get(tabId);
+    return {
+      tabId,
+      title: tab?.title || "",
+      url: tab?.url || tabState?.pageUrl || "",
+      favIconUrl: tab?.favIconUrl || "",
+      open: !!tab,
+      attached: !!tabState?.attached,
+      detachReason: tabState?.detachReason || null,
+      errorCount: tabState ? getBadgeCount(tabId) : 0,
+      historyCount: tabState?.errorHistory.length || 0,
+      newErrorInfo: tabState?.newErrorInfo || null
+    };
+  });
+}
+
+// ====== 自動アタッチ ======
+// settings.autoAttachPatterns に一致するURLのタブには、開いたとき・遷移したときに自動でアタッチする。
+// 自動でアタッチしたタブだけを、一致しないURLに遷移したときにデタッチする（手動でアタッチしたタブはそのまま）。
+// 遷移では webNavigation.onBeforeNavigate（新しいドキュメントの作成前）でアタッチし、ページの読み込み中のエラーも記録する。
+// 起動時・パターンの変更時に既に開いているタブは、読み込みの済んだページにアタッチする（再読み込みはしない）。
+
+/** 自動アタッチするURLの正規表現 */
+let autoAttachRegExps = [];
+
+/**
+ * 自動アタッチの処理中のタブ（onCreated と onUpdated が続けて届いた場合の二重アタッチを防ぐ）
+ * 値は処理中に届いた最新のURL（届いていない場合はnull）で、処理が終わってからそのURLで判定し直す。
+ */
+const autoAttachingTabs = new Map();
+
+/**
+ * 自動アタッチのパターン（グロブ）を正規表現に変換
+ * 
+ * @param {Array<string>} patterns - URLのグロブ
+ * @returns {Array<RegExp>} 正規表現
+ */
+function compileAutoAttachPatterns(patterns) {
+  return (patterns || []).map((pattern) => pattern.trim()).filter(Boolean).map(globToRegExp);
+}
+
+/**
+ * URLが自動アタッチのパターンに一致するか
+ * 
+ * @param {string} url - URL
+ * @returns {boolean} 一致するか
+ */
+function matchesAutoAttach(url) {
+  return !!url && autoAttachRegExps.some((regExp) => regExp.test(url));
+}
+
+/**
+ * タブのURLに合わせて自動でアタッチ/デタッチ
+ * 
+ * 同じタブの処理中に届いたURLは覚えておき、処理が終わってから最新のURLで判定し直す。
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} url - タブのURL（読み込み中の場合は遷移先のURL）
+ * @returns {Promise<void>}
+ */
+async function updateAutoAttach(tabId, url) {
+  if (!url) return;
+  if (autoAttachingTabs.has(tabId)) {
+    autoAttachingTabs.set(tabId, url);
+    return;
+  }
+  const tabState = tabStates.get(tabId);
+
+  autoAttachingTabs.set(tabId, null);
+  try {
+    if (matchesAutoAttach(url)) {
+      if (tabState?.attached) return;
+      const res = await attachDebugger(tabId);
+      if (res.ok) {
+        getTabState(tabId).autoAttached = true;
+      } else {
+        console.warn('自動アタッチに失敗しました:', url, res.error);
+      }
+    } else if (tabState?.attached && tabState.autoAttached) {
+      await detachDebugger(tabId);
+    }
+  } finally {
+    const pendingUrl = autoAttachingTabs.get(tabId);
+    autoAttachingTabs.delete(tabId);
+    // 処理中に遷移した場合は、遷移先のURLで判定し直す
+    if (pendingUrl && pendingUrl !== url) {
+      await updateAutoAttach(tabId, pendingUrl);
+    }
+  }
+}
+
+/**
+ * 開いているすべてのタブに自動アタッチのパターンを反映（起動時・パターンの変更時）
+ * 
+ * @returns {Promise<void>}
+ */
+async function autoAttachOpenTabs() {
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    await updateAutoAttach(tab.id, tab.pendingUrl || tab.url);
+  }
+}
+
+// ====== 子ターゲット（iframe・ワーカー） ======
+// Target.setAutoAttach（flatten: true）で、クロスオリジンの iframe・専用ワーカー・Service Worker などの
+// 子ターゲットにも同じタブのデバッガーからセッションを張る。
+// 子ターゲットのイベントは source.sessionId 付きで chrome.debugger.onEvent に届くため、
+// scriptId・requestId などセッションごとのIDは scopedId でタブ内で一意なキーにしてから記録する。
+
+/** タブごとの子ターゲット（キーはセッションID、値は { targetId, type, url }） */
+const childTargets = new Map();
+
+/** Target.setAutoAttach のパラメータ（子ターゲットは開始前に停止させ、ドメインを有効にしてから再開する） */
+const AUTO_ATTACH_PARAMS = { autoAttach: true, waitForDebuggerOnStart: true, flatten: true };
+
+/**
+ * CDPコマンドの送信先を作成
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Object} chrome.debugger のターゲット
+ */
+function debuggerTarget(tabId, sessionId) {
+  return sessionId ? { tabId, sessionId } : { tabId };
+}
+
+/**
+ * セッションごとのID（scriptId・requestId）をタブ内で一意なキーにする
+ * 
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @param {string} id - セッション内のID
+ * @returns {string} キー（ページ自体の場合はIDそのまま）
+ */
+function scopedId(sessionId, id) {
+  return sessionId ? `${sessionId}:${id}` : id;
+}
+
+/**
+ * 子ターゲットからのエントリに付ける発生元の情報を作成
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @returns {Object} { realm, target: { type, url } }（ページ自体の場合は空のオブジェクト）
+ */
+function describeTarget(tabId, sessionId) {
+  const child = sessionId ? childTargets.get(tabId)?.get(sessionId) : null;
+  if (!child) return {};
+  return {
+    realm: child.type === "iframe" ? "iframe" : "worker",
+    target: { type: child.type, url: child.url }
+  };
+}
+
+/**
+ * 子ターゲットの自動アタッチを開始
+ * 
+ * @param {Object} target - デバッガーのターゲット（タブまたは子ターゲットのセッション）
+ * @returns {Promise<void>}
+ */
+async function setAutoAttachChildren(target) {
+  try {
+    await chrome.debugger.sendCommand(target, "Target.setAutoAttach", AUTO_ATTACH_PARAMS);
+  } catch (error) {
+    console.warn('子ターゲットの自動アタッチを開始できませんでした:', error);
+  }
+}
+
+/**
+ * 子ターゲットで設定のドメインを有効化
+ * 
+ * ワーカーには Page などがないため、有効化できないドメインは無視する。
+ * 
+ * @param {Object} target - 子ターゲットのセッション
+ * @param {Array<string>} domains - 有効にするドメイン
+ * @returns {Promise<void>}
+ */
+async function enableChildDomains(target, domains) {
+  for (const domain of domains) {
+    try {
+      await enableDomain(target, domain);
+    } catch (error) {
+      // 子ターゲットが対応していないドメイン
+    }
+  }
+}
+
+/**
+ * Target.attachedToTarget を処理（子ターゲットの記録とドメインの有効化）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - attachedToTargetパラメータ
+ * @returns {Promise<void>}
+ */
+async function handleAttachedToTarget(tabId, params) {
+  const { sessionId, targetInfo, waitingForDebugger } = params || {};
+  if (!sessionId || !targetInfo) return;
+  if (!childTargets.has(tabId)) {
+    childTargets.set(tabId, new Map());
+  }
+  childTargets.get(tabId).set(sessionId, {
+    targetId: targetInfo.targetId,
+    type: targetInfo.type,
+    url: targetInfo.url || ""
+  });
+
+  const target = debuggerTarget(tabId, sessionId);
+  await enableChildDomains(target, settings.enabledDomains);
+  // iframe の中のワーカーなど、子ターゲットの子も監視する
+  await setAutoAttachChildren(target);
+  if (waitingForDebugger) {
+    await chrome.debugger.sendCommand(target, "Runtime.runIfWaitingForDebugger").catch(() => {});
+  }
+}
+
+/**
+ * Target.detachedFromTarget を処理
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - detachedFromTargetパラメータ
+ */
+function handleDetachedFromTarget(tabId, params) {
+  childTargets.get(tabId)?.delete(params?.sessionId);
+}
+
+/**
+ * Target.targetInfoChanged を処理（子ターゲットのURLの変化）
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - targetInfoChangedパラメータ
+ */
+function handleTargetInfoChanged(tabId, params) {
+  const info = params?.targetInfo;
+  for (const child of childTargets.get(tabId)?.values() || []) {
+    if (child.targetId === info?.targetId) {
+      child.url = info.url || child.url;
+    }
+  }
+}
+
+/**
+ * タブの子ターゲットの記録を破棄
+ * @param {number} tabId - タブID
+ */
+function clearChildTargets(tabId) {
+  childTargets.delete(tabId);
+}
+
+// ====== スクリーンショット ======
+// settings.screenshotOnError が有効な場合、エラーグループの初回発生時に Page.captureScreenshot でページを撮影する。
+// 画像は chrome.storage.local に入れるには大きいため IndexedDB に保存し、エントリには撮影時刻とサイズだけを記録する。
+// ポップアップは GET_SCREENSHOT で、エクスポートは buildExportData で画像を読み込む。
+
+/** スクリーンショットを保存するIndexedDBのデータベース名とストア名 */
+const SCREENSHOT_DB_NAME = "error-notifier";
+const SCREENSHOT_STORE = "screenshots";
+
+/** 撮影のタイムアウト（ミリ秒）。表示されていないタブでは応答が返らないことがある */
+const SCREENSHOT_TIMEOUT_MS = 5000;
+
+/**
+ * サイズの上限を超えた場合に順に試す撮影の設定（画質と縮小率）
+ */
+const SCREENSHOT_ATTEMPTS = [
+  { quality: 70, scale: 1 },
+  { quality: 50, scale: 0.5 },
+  { quality: 40, scale: 0.25 }
+];
+
+/** タブごとの最後に撮影した時刻（連続したエラーで撮影し続けないように間隔を空ける） */
+const lastScreenshotAt = new Map();
+
+/** 開いたデータベース（初回の使用時に開く） */
+let screenshotDbPromise = null;
+
+/**
+ * スクリーンショットのデータベースを開く
+ * 
+ * @returns {Promise<IDBDatabase>} データベース
+ */
+function openScreenshotDb() {
+  if (!screenshotDbPromise) {
+    screenshotDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SCREENSHOT_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(SCREENSHOT_STORE, { keyPath: "entryId" });
+        store.createIndex("ts", "ts");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        screenshotDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return screenshotDbPromise;
+}
+
+/**
+ * スクリーンショットのストアで処理を実行
+ * 
+ * @param {IDBTransactionMode} mode - "readonly" または "readwrite"
+ * @param {Function} callback - ストアを受け取ってリクエストを返す関数（結果が不要な場合は何も返さない）
+ * @returns {Promise<*>} リクエストの結果（トランザクションの完了後に返す）
+ */
+async function withScreenshotStore(mode, callback) {
+  const db = await openScreenshotDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SCREENSHOT_STORE, mode);
+    const request = callback(tx.objectStore(SCREENSHOT_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * エントリのスクリーンショットを読み込む
+ * 
+ * @param {string} entryId - エントリID
+ * @returns {Promise<string|null>} 画像のデータURL（保存されていない場合はnull）
+ */
+async function loadScreenshot(entryId) {
+  try {
+    const record = await withScreenshotStore("readonly", (store) => store.get(entryId));
+    return record?.dataUrl || null;
+  } catch (error) {
+    console.warn('スクリーンショットを読み込めませんでした:', error);
+    return null;
+  }
+}
+
+/**
+ * 保存数の上限（settings.maxScreenshots）を超えた分を古い順に削除
+ * 
+ * 削除した画像を指すエントリからは screenshot を取り除き、そのタブの状態を保存する。
+ * 
+ * @returns {Promise<void>}
+ */
+async function pruneScreenshots() {
+  const count = await withScreenshotStore("readonly", (store) => store.count());
+  let overflow = count - settings.maxScreenshots;
+  if (overflow <= 0) return;
+  const removed = [];
+  await withScreenshotStore("readwrite", (store) => {
+    store.index("ts").openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || overflow <= 0) return;
+      removed.push(cursor.value);
+      cursor.delete();
+      overflow--;
+      cursor.continue();
+    };
+  });
+
+  removed.forEach(({ entryId, tabId }) => {
+    const tabState = tabStates.get(tabId);
+    if (!tabState) return;
+    const entries = [
+      ...tabState.errorHistory,
+      ...tabState.pageSessions.flatMap((session) => session.errorHistory),
+      ...Object.values(tabState.errorGroups).map((group) => group.sample),
+      ...tabState.pageSessions.flatMap((session) => Object.values(session.errorGroups || {}).map((group) => group.sample)),
+      tabState.newErrorInfo
+    ];
+    entries.filter((entry) => entry?.id === entryId).forEach((entry) => delete entry.screenshot);
+    notifyDashboard(tabId);
+    setChromeSaveState(tabId);
+  });
+}
+
+/**
+ * サイズの上限（settings.screenshotMaxKB）に収まるようにページを撮影
+ * 
+ * 上限を超えた場合は画質と縮小率を下げて撮り直し、それでも超える場合は諦める。
+ * 
+ * @param {Object} target - デバッガーのターゲット
+ * @returns {Promise<string|null>} JPEG画像のbase64（上限に収まらない場合はnull）
+ */
+async function captureScreenshotWithinLimit(target) {
+  const maxLength = Math.ceil(settings.screenshotMaxKB * 1024 * 4 / 3);
+  let viewport = null;
+  for (const { quality, scale } of SCREENSHOT_ATTEMPTS) {
+    const params = { format: "jpeg", quality, optimizeForSpeed: true };
+    if (scale < 1) {
+      viewport = viewport || (await chrome.debugger.sendCommand(target, "Page.getLayoutMetrics")).cssVisualViewport;
+      params.clip = { x: viewport.pageX, y: viewport.pageY, width: viewport.clientWidth, height: viewport.clientHeight, scale };
+    }
+    const { data } = await Promise.race([
+      chrome.debugger.sendCommand(target, "Page.captureScreenshot", params),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), SCREENSHOT_TIMEOUT_MS))
+    ]);
+    if (data && data.length <= maxLength) {
+      return data;
+    }
+  }
+  return null;
+}
+
+/**
+ * エラーの発生時のページを撮影してエントリに紐づける
+ * 
+ * 同じタブでは settings.screenshotInterval 秒に1回まで撮影する。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報（撮影できた場合は screenshot に撮影時刻とサイズを記録する）
+ * @returns {Promise<void>}
+ */
+async function captureErrorScreenshot(tabId, entry) {
+  const tabState = getTabState(tabId);
+  const now = Date.now();
+  if (!tabState.attached || !tabState.session) return;
+  if (now - (lastScreenshotAt.get(tabId) || 0) < settings.screenshotInterval * 1000) return;
+  lastScreenshotAt.set(tabId, now);
+
+  try {
+    const data = await captureScreenshotWithinLimit(tabState.session);
+    if (!data) return;
+    const dataUrl = `data:image/jpeg;base64,${data}`;
+    await withScreenshotStore("readwrite", (store) => {
+      store.put({ entryId: entry.id, tabId, ts: now, dataUrl });
+    });
+    entry.screenshot = { capturedAt: now, bytes: Math.floor(data.length * 3 / 4) };
+    notifyDashboard(tabId);
+    setChromeSaveState(tabId);
+    await pruneScreenshots();
+  } catch (error) {
+    console.warn('スクリーンショットを撮影できませんでした:', error);
+  }
+}
+
+// ====== 再起動後のアタッチ状態の復元 ======
+// MV3 のサービスワーカーはアイドル時に停止するが、デバッガーのアタッチは Chrome 側に残る。
+// 起動時に chrome.debugger.getTargets() で実際にアタッチが残っているタブを調べ、
+// 残っているタブは状態を復元し、外れていたタブは detachReason に記録する。
+// 子ターゲットは自動アタッチをやり直すとドメインの有効化で記録済みのメッセージが再送されるため、
+// 復元した最後のエントリ以前の時刻のメッセージは isReplayedEvent で捨てる。
+
+/** 再起動後にアタッチを復元できなかった場合の detachReason.reason */
+const DETACH_REASON_LOST = "lost_after_restart";
+
+/**
+ * 起動時の状態の復元とアタッチ状態の確認の完了（初期化処理で設定する）
+ * 
+ * ポップアップやショートカットが復元前の状態を見て切り替えないように、メッセージの処理の前に待つ。
+ */
+let initialization = Promise.resolve();
+
+/** 復元したタブごとの、これ以前の時刻のメッセージを再送とみなす時刻（ミリ秒） */
+const replayCutoffs = new Map();
+
+/**
+ * 再起動前に記録済みのメッセージの再送か
+ * 
+ * @param {number} tabId - タブID
+ * @param {number} [timestamp] - イベントの発生時刻（ミリ秒）
+ * @returns {boolean} 再送の場合はtrue
+ */
+function isReplayedEvent(tabId, timestamp) {
+  const cutoff = replayCutoffs.get(tabId);
+  return cutoff != null && timestamp != null && timestamp <= cutoff;
+}
+
+/**
+ * アタッチが残っているタブで監視を再開
+ * 
+ * ドメインはアタッチしたときのまま有効なので、メモリ上の状態（メインフレームのID・子ターゲット・スクリプト情報）だけを作り直す。
+ * Runtime と Log は有効にし直すと記録済みのメッセージを再送してくるため触らない。
+ * スクリプト情報は Debugger を有効にし直して scriptParsed を受け取り直す（コンソールのメッセージは再送されない）。
+ * 
+ * @param {number} tabId - タブID
+ * @returns {Promise<boolean>} この拡張機能のアタッチとして再開できたか（他の拡張機能や DevTools のアタッチの場合は false）
+ */
+async function restoreDebuggerSession(tabId) {
+  const target = { tabId };
+  try {
+    // この拡張機能がアタッチしていない場合はコマンドが失敗する
+    await chrome.debugger.sendCommand(target, "Runtime.evaluate", { expression: "0" });
+    if (settings.enabledDomains.includes("Debugger")) {
+      await chrome.debugger.sendCommand(target, "Debugger.disable").catch(() => {});
+      await enableDomain(target, "Debugger");
+    }
+    await loadMainFrameId(target);
+    if (settings.monitorChildTargets) {
+      await setAutoAttachChildren(target);
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 起動時にデバッガーのアタッチ状態を実際の状態に合わせる
+ * 
+ * 保存時にアタッチ中だったタブのうち、アタッチが残っていないタブは失われたものとして記録する。
+ * 保存が間に合わなかったタブも、アタッチが残っていてこの拡張機能のものであれば復元する。
+ * 
+ * @param {Map<number, Object>} previouslyAttached - 保存時にアタッチ中だったタブ（chromeLoadState の戻り値）
+ * @returns {Promise<void>}
+ */
+async function reconcileDebuggerState(previouslyAttached) {
+  let targets = [];
+  try {
+    targets = await chrome.debugger.getTargets();
+  } catch (error) {
+    console.warn('デバッガーのターゲットを取得できませんでした:', error);
+  }
+  const attachedTabIds = new Set(targets
+    .filter((target) => target.type === "page" && target.attached && target.tabId != null)
+    .map((target) => target.tabId));
+
+  const lostTabIds = [];
+  for (const tabId of new Set([...previouslyAttached.keys(), ...attachedTabIds])) {
+    // 他の拡張機能や DevTools がアタッチしているタブの状態は作らない
+    let tabState;
+    if (attachedTabIds.has(tabId) && await restoreDebuggerSession(tabId)) {
+      tabState = getTabState(tabId);
+      tabState.attached = true;
+      tabState.autoAttached = !!previouslyAttached.get(tabId)?.autoAttached;
+      tabState.session = { tabId };
+      tabState.detachReason = null;
+      replayCutoffs.set(tabId, Math.max(0, ...tabState.errorHistory.map((entry) => entry.ts)));
+      showBadgeState(tabId);
+      notifyNativeAttachChange(tabId, true);
+    } else if (previouslyAttached.has(tabId)) {
+      tabState = getTabState(tabId);
+      tabState.detachReason = { reason: DETACH_REASON_LOST, at: Date.now() };
+      lostTabIds.push(tabId);
+      notifyNativeAttachChange(tabId, false, DETACH_REASON_LOST);
+    } else {
+      // 他の拡張機能や DevTools のアタッチ
+      continue;
+    }
+    notifyDashboard(tabId);
+    setChromeSaveState(tabId);
+  }
 
-// 5. バッジ状態管理（Badge State Management）
-/**
- * バッジ状態を更新（エラーカウントに基づく）
- * @param {number} tabId - タブID
- * @param {number} errorCount - エラー数
- */
-function updateBadgeState(tabId, errorCount) {
-  const badgeText = errorCount > 0 ? String(errorCount) : "";
-  chrome.action.setBadgeText({ tabId, text: badgeText });
-  chrome.action.setBadgeBackgroundColor({ tabId, color: errorCount > 0 ? "#d00" : "#00000000" });
+  if (lostTabIds.length > 0) {
+    console.warn(`再起動後にデバッガーのアタッチを復元できなかったタブ: ${lostTabIds.join(", ")}`);
+  }
 }
 
+// ====== デバッグ操作 ======
+
 /**
- * バッジ状態を非表示にする（エラーカウントは保持）
- * @param {number} tabId - タブID
+ * CDPドメインを有効化
+ * 
+ * @param {Object} target - デバッガーのターゲット
+ * @param {string} domain - ドメイン名
+ * @returns {Promise<void>}
  */
-function hideBadgeState(tabId) {
-  chrome.action.setBadgeText({ tabId, text: "" });
-  chrome.action.setBadgeBackgroundColor({ tabId, color: "#00000000" });
+async function enableDomain(target, domain) {
+  await chrome.debugger.sendCommand(target, `${domain}.enable`);
+  if (domain === "Runtime") {
+    // 非同期スタックトレース（StackTrace.parent）を取得できるようにする
+    await chrome.debugger.sendCommand(target, "Runtime.setAsyncCallStackDepth", { maxDepth: ASYNC_STACK_DEPTH });
+  }
+  if (domain === "Debugger") {
+    // ソースマップのURLを取得するために有効化するので、debugger文では停止させない
+    await chrome.debugger.sendCommand(target, "Debugger.setSkipAllPauses", { skip: true });
+  }
 }
 
 /**
- * バッジ状態を表示する（現在のエラーカウントで）
- * @param {number} tabId - タブID
+ * アタッチ中のターゲットのドメインを設定に合わせて有効化/無効化
+ * 
+ * @param {Object} target - デバッガーのターゲット
+ * @param {Array<string>} previous - 変更前に有効だったドメイン
+ * @param {Array<string>} next - 変更後に有効にするドメイン
+ * @returns {Promise<void>}
  */
-function showBadgeState(tabId) {
-  const tabState = getTabState(tabId);
-  updateBadgeState(tabId, tabState.errorCount);
+async function updateDomains(target, previous, next) {
+  try {
+    for (const domain of previous.filter((d) => !next.includes(d))) {
+      await chrome.debugger.sendCommand(target, `${domain}.disable`);
+    }
+    for (const domain of next.filter((d) => !previous.includes(d))) {
+      await enableDomain(target, domain);
+    }
+  } catch (error) {
+    console.warn('ドメインの切り替えに失敗しました:', error);
+  }
 }
 
-// ====== ユーティリティ関数 ======
 /**
- * 現在アクティブなタブのIDを取得
- * @returns {Promise<number|null>} アクティブタブのID
+ * アタッチしたタブで監視を開始（ドメインの有効化・子ターゲットの自動アタッチなど）
+ * 
+ * @param {Object} target - デバッガーのターゲット
+ * @returns {Promise<void>}
  */
-async function getActiveTabId() {
-  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  return tabs[0]?.id;
+async function setUpDebuggerSession(target) {
+  // 各種イベントの監視を有効化
+  for (const domain of settings.enabledDomains) {
+    await enableDomain(target, domain);
+  }
+  // 例外の発生したフレームを判定するためにメインフレームのIDを記録
+  await loadMainFrameId(target);
+  // iframe・ワーカー・Service Worker も監視する
+  if (settings.monitorChildTargets) {
+    await setAutoAttachChildren(target);
+  }
+  // ブレッドクラム用にクリックと入力を監視する
+  if (settings.breadcrumbSources.interaction) {
+    await installInteractionBreadcrumbs(target);
+  }
 }
 
-// ====== デバッグ操作 ======
-
 /**
  * 指定されたタブにデバッガーをアタッチ
  * @param {number} tabId - タブID
@@ -205,19 +3129,22 @@ async function attachDebugger(tabId) {
   try {
     const target = { tabId };
     // CDPデバッガーをアタッチ
-    await chrome.debugger.attach(target, CDP_VERSION);
-    // 各種イベントの監視を有効化
-    await chrome.debugger.sendCommand(target, "Runtime.enable");
-    await chrome.debugger.sendCommand(target, "Console.enable");
-    await chrome.debugger.sendCommand(target, "Log.enable");
-    await chrome.debugger.sendCommand(target, "Network.enable");
+    await chrome.debugger.attach(target, settings.cdpVersion);
+    await setUpDebuggerSession(target);
     
     // タブ状態を更新
     tabState.attached = true;
     tabState.session = target;
+    tabState.detachReason = null;
+    if (!tabState.pageUrl) {
+      const tab = await chrome.tabs.get(tabId).catch(() => null);
+      tabState.pageUrl = tab?.url || "";
+    }
+    notifyNativeAttachChange(tabId, true);
+    notifyDashboard(tabId);
     
     // ストレージ状態を保存
-    setChromeSaveState();
+    setChromeSaveState(tabId);
     
     return { ok: true };
   } catch (e) {
@@ -239,13 +3166,18 @@ async function detachDebugger(tabId) {
     
     // タブ状態を更新
     tabState.attached = false;
+    tabState.autoAttached = false;
+    tabState.detachReason = null;
     tabState.session = null;
+    clearTabCaches(tabId);
+    notifyNativeAttachChange(tabId, false);
+    notifyDashboard(tabId);
     
     // バッジ状態の自動クリアを無効化 - エラーカウントは保持
     // clearBadgeState(tabId);
     
     // ストレージ状態を保存
-    setChromeSaveState();
+    setChromeSaveState(tabId);
     
     return { ok: true };
   } catch (e) {
@@ -253,44 +3185,137 @@ async function detachDebugger(tabId) {
   }
 }
 
+/**
+ * CDPのStackTraceを構造化したスタックフレームの配列に変換
+ * 
+ * 非同期呼び出しの境界（StackTrace.parent）は asyncBoundary を持つ要素として挿入する。
+ * 行番号・列番号はCDPの値そのまま（0始まり）で保持する。
+ * 
+ * @param {Object|undefined} stackTrace - CDPのRuntime.StackTrace
+ * @returns {Array<Object>} スタックフレームの配列
+ *   - functionName: string - 関数名（無名関数は空文字）
+ *   - url: string - スクリプトのURL
+ *   - line: number - 行番号（0始まり）
+ *   - column: number - 列番号（0始まり）
+ *   - scriptId: string - スクリプトID
+ *   - asyncBoundary: string - 非同期境界の説明（境界の要素のみ）
+ */
+function buildStackFrames(stackTrace) {
+  const frames = [];
+  let current = stackTrace;
+  let depth = 0;
+  while (current && depth <= ASYNC_STACK_DEPTH) {
+    if (depth > 0) {
+      frames.push({ asyncBoundary: current.description || "async" });
+    }
+    (current.callFrames || []).forEach((f) => {
+      frames.push({
+        functionName: f.functionName || "",
+        url: f.url || "",
+        line: f.lineNumber,
+        column: f.columnNumber,
+        scriptId: f.scriptId
+      });
+    });
+    current = current.parent;
+    depth++;
+  }
+  return frames;
+}
+
+/**
+ * エントリをソースマップで解決してソースコードの抜粋を付け、変更があれば状態を保存
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} entry - エラー情報
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ * @param {Array<Object>} [consoleArgs] - 展開するコンソールの引数（コンソールのエントリのみ）
+ * @returns {Promise<void>} 補完の完了（失敗した場合も解決する）
+ */
+function enrichEntry(tabId, entry, sessionId, consoleArgs) {
+  return (async () => {
+    const expanded = consoleArgs ? await expandConsoleArgs(tabId, entry, consoleArgs, sessionId) : false;
+    const resolved = await resolveEntrySourceMaps(tabId, entry, sessionId);
+    const snippet = await attachSourceSnippet(tabId, entry, sessionId);
+    if (expanded || resolved || snippet) setChromeSaveState(tabId);
+  })().catch((error) => console.warn('エラー情報の補完に失敗しました:', error));
+}
+
 /**
  * JavaScript例外を処理
  * 
  * @param {number} tabId - タブID
  * @param {Object} params - 例外パラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
  */
-function handleJavaScriptException(tabId, params) {
+function handleJavaScriptException(tabId, params, sessionId) {
+  if (!settings.captureSources.exception || isReplayedEvent(tabId, params?.timestamp)) return;
   const d = params?.exceptionDetails || {};
   const text = d?.exception?.description || d?.text || 
                (d?.exception && (d.exception.value || d.exception.className)) || "Exception thrown";
-  setUpdateErrorBadge(tabId, {
+  const { errorClass, promiseRejection } = classifyException(d);
+  const entry = setUpdateErrorBadge(tabId, {
     level: "error",
     source: "exception",
     text: String(text),
     url: d.url || d?.scriptId || "",
     line: d.lineNumber,
-    column: d.columnNumber
-  });
+    column: d.columnNumber,
+    scriptId: d.scriptId,
+    errorClass,
+    promiseRejection,
+    realm: getContextRealm(tabId, d.executionContextId),
+    stack: buildStackFrames(d.stackTrace),
+    ...describeTarget(tabId, sessionId)
+  }, true);
+  if (!entry) return;
+  // ソースマップ・ソースコードの抜粋を付けてから転送する
+  enrichEntry(tabId, entry, sessionId).then(() => forwardEntry(tabId, entry));
 }
 
 /**
  * コンソールAPI呼び出しを処理
  * 
+ * コンソールのブレッドクラムが有効な場合、info レベル（log・info・debug など）はエントリにせずブレッドクラムに残す。
+ * 
  * @param {number} tabId - タブID
  * @param {Object} params - コンソールAPIパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
  */
-function handleConsoleAPICall(tabId, params) {
+function handleConsoleAPICall(tabId, params, sessionId) {
+  const args = params?.args || [];
+  if (isReplayedEvent(tabId, params?.timestamp)) {
+    releaseConsoleArgs(tabId, args, sessionId);
+    return;
+  }
   const type = params?.type || "log";
   const level = type === "error" ? "error" : (type === "warning" ? "warning" : "info");
-  const args = (params?.args || []).map(a => a?.value ?? a?.description ?? a?.type);
-  setUpdateErrorBadge(tabId, {
+  // info/log はブレッドクラムとして残し、最新のエラーを上書きしない
+  if (level === "info" && settings.breadcrumbSources.console) {
+    addBreadcrumb(tabId, "console", `console.${type}: ${formatConsoleArgs(args)}`);
+    releaseConsoleArgs(tabId, args, sessionId);
+    return;
+  }
+  if (!settings.captureSources.console) {
+    releaseConsoleArgs(tabId, args, sessionId);
+    return;
+  }
+  const entry = setUpdateErrorBadge(tabId, {
     level,
     source: "console",
-    text: args.join(" "),
+    text: formatConsoleArgs(args),
     url: "",
     line: undefined,
-    column: undefined
-  });
+    column: undefined,
+    stack: buildStackFrames(params?.stackTrace),
+    ...describeTarget(tabId, sessionId)
+  }, true);
+  if (!entry) {
+    releaseConsoleArgs(tabId, args, sessionId);
+    return;
+  }
+  // 引数の展開・ソースマップを付けてから転送する
+  enrichEntry(tabId, entry, sessionId, args).then(() => forwardEntry(tabId, entry));
 }
 
 /**
@@ -298,85 +3323,269 @@ function handleConsoleAPICall(tabId, params) {
  * 
  * @param {number} tabId - タブID
  * @param {Object} params - ログエントリパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
  */
-function handleLogEntry(tabId, params) {
+function handleLogEntry(tabId, params, sessionId) {
+  if (!settings.captureSources.log) return;
   const e = params?.entry || {};
+  if (isReplayedEvent(tabId, e.timestamp)) return;
   setUpdateErrorBadge(tabId, {
     level: e.level || "info",
     source: e.source || "log",
     text: e.text || "",
     url: e.url || "",
     line: e.lineNumber,
-    column: undefined
+    column: undefined,
+    ...describeTarget(tabId, sessionId)
   });
 }
 
+/**
+ * ブラウザのIssue（Audits.issueAdded）を処理
+ * 
+ * 分類ごとのレベルは settings.issueLevels に従い、空文字の分類は記録しない。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - issueAddedパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleIssueAdded(tabId, params, sessionId) {
+  if (!settings.captureSources.issue) return;
+  const issue = params?.issue;
+  if (!issue) return;
+  const category = getIssueCategory(issue.code);
+  const level = settings.issueLevels[category];
+  if (!level) return;
+
+  const summary = summarizeIssue(issue);
+  const entry = setUpdateErrorBadge(tabId, {
+    level,
+    source: "issue",
+    text: summary.text,
+    url: summary.url,
+    line: summary.line,
+    column: summary.column,
+    scriptId: summary.scriptId,
+    issue: { code: issue.code, category, details: issue.details },
+    ...describeTarget(tabId, sessionId)
+  }, true);
+  if (!entry) return;
+  // ソースマップ・ソースコードの抜粋を付けてから転送する
+  enrichEntry(tabId, entry, sessionId).then(() => forwardEntry(tabId, entry));
+}
+
 /**
  * ネットワークエラーを処理
  * 
+ * requestWillBeSent で記録したURL・メソッド・種類・発生元・所要時間を付与する。
+ * 
  * @param {number} tabId - タブID
  * @param {Object} params - ネットワークエラーパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
  */
-function handleNetworkError(tabId, params) {
+function handleNetworkError(tabId, params, sessionId) {
   const e = params || {};
+  const request = takeNetworkRequest(tabId, e.requestId, sessionId);
+  // レスポンスを受け取った後に失敗した場合は、レスポンスボディを待たずに転送する
+  request?.resolveResponseBody?.();
+  addNetworkBreadcrumb(tabId, request, e.type || request?.resourceType, e.canceled ? "canceled" : (e.blockedReason || e.errorText || "failed"), true);
+  if (!settings.captureSources.network) return;
   if (e?.type === "XHR" || e?.type === "Fetch" || e?.blockedReason || e?.errorText) {
-    setUpdateErrorBadge(tabId, {
+    const network = buildNetworkDetails(request, {
+      resourceType: e.type || request?.resourceType || "",
+      errorText: e.errorText || "",
+      blockedReason: e.blockedReason,
+      canceled: !!e.canceled
+    }, e.timestamp);
+    const target = [network.method, network.url].filter(Boolean).join(" ");
+    const entry = setUpdateErrorBadge(tabId, {
       level: "error",
       source: "network",
-      text: `Network ${e.type || ""} failed: ${e.errorText || e.blockedReason || "unknown"}`,
-      url: "",
+      text: `Network ${e.type || ""} failed: ${e.errorText || e.blockedReason || "unknown"}${target ? ` (${target})` : ""}`,
+      url: network.url,
       line: undefined,
-      column: undefined
+      column: undefined,
+      stack: buildStackFrames(request?.initiatorStack),
+      network,
+      ...describeTarget(tabId, sessionId)
+    }, true);
+    if (!entry) return;
+    // ソースマップ・リクエストボディを付けてから転送する
+    Promise.all([enrichEntry(tabId, entry, sessionId), captureRequestPostData(tabId, request, entry)])
+      .then(() => forwardEntry(tabId, entry));
+  }
+}
+
+/**
+ * HTTPレスポンスを処理（エラー扱いのステータスの場合のみ記録）
+ * 
+ * 4xx/5xx のレスポンスは loadingFailed にならないため、ここで記録する。
+ * エラーでないレスポンスもネットワークのブレッドクラムとして残す。
+ * 
+ * @param {number} tabId - タブID
+ * @param {Object} params - responseReceivedパラメータ
+ * @param {string} [sessionId] - 子ターゲットのセッションID（ページ自体の場合は省略）
+ */
+function handleResponseReceived(tabId, params, sessionId) {
+  const response = params?.response;
+  if (!response) return;
+  const request = getNetworkRequests(tabId).get(scopedId(sessionId, params.requestId)) || null;
+  addNetworkBreadcrumb(tabId, request, params.type || request?.resourceType, response.status, isErrorStatus(response.status));
+  if (!settings.captureSources.network || !isErrorStatus(response.status)) return;
+
+  const network = buildNetworkDetails(request, {
+    url: response.url || request?.url || "",
+    resourceType: params.type || request?.resourceType || "",
+    status: response.status,
+    statusText: response.statusText || "",
+    mimeType: response.mimeType || ""
+  }, params.timestamp);
+  const entry = setUpdateErrorBadge(tabId, {
+    level: "error",
+    source: "network",
+    text: `HTTP ${response.status}${network.statusText ? ` ${network.statusText}` : ""}: ${[network.method, network.url].filter(Boolean).join(" ")}`,
+    url: network.url,
+    line: undefined,
+    column: undefined,
+    stack: buildStackFrames(request?.initiatorStack),
+    network,
+    ...describeTarget(tabId, sessionId)
+  }, true);
+  if (!entry) return;
+
+  // レスポンスボディは読み込み完了（loadingFinished）後に取得する
+  let responseBodySettled = Promise.resolve();
+  if (request) {
+    request.errorEntry = entry;
+    responseBodySettled = new Promise((resolve) => {
+      request.resolveResponseBody = resolve;
+      // 読み込み完了の通知が来ない場合も転送する
+      setTimeout(resolve, RESPONSE_BODY_WAIT_MS);
     });
   }
+  // ソースマップ・リクエストボディ・レスポンスボディを付けてから転送する
+  Promise.all([enrichEntry(tabId, entry, sessionId), captureRequestPostData(tabId, request, entry), responseBodySettled])
+    .then(() => forwardEntry(tabId, entry));
 }
 
 /**
  * Chrome DevTools Protocol のイベントを処理
- * JavaScript例外、コンソール出力、ログ、ネットワークエラーを監視
+ * JavaScript例外、コンソール出力、ログ、ネットワークエラー、ブラウザのIssueを監視
  */
 chrome.debugger.onEvent.addListener((source, method, params) => {
   const tabId = source.tabId;
   if (!tabId) return;
+  // 子ターゲット（iframe・ワーカー）のイベントはセッションIDが付く
+  const sessionId = source.sessionId;
 
   const tabState = getTabState(tabId);
 
   switch (method) {
+    // スクリプトが読み込まれた場合（ソースマップURLの記録）
+    case "Debugger.scriptParsed":
+      handleScriptParsed(tabId, params, sessionId);
+      break;
+
+    // 実行コンテキストが作成/破棄された場合（例外の発生したフレームの判定）
+    case "Runtime.executionContextCreated":
+      handleExecutionContextCreated(tabId, params, sessionId);
+      break;
+
+    case "Runtime.executionContextDestroyed":
+      handleExecutionContextDestroyed(tabId, params, sessionId);
+      break;
+
+    case "Runtime.executionContextsCleared":
+      if (!sessionId) executionContexts.delete(tabId);
+      break;
+
     // JavaScript例外が発生した場合
     case "Runtime.exceptionThrown":
-      handleJavaScriptException(tabId, params);
+      handleJavaScriptException(tabId, params, sessionId);
       break;
     
     // コンソールAPIが呼ばれた場合（console.error, console.warn等）
     case "Runtime.consoleAPICalled":
-      handleConsoleAPICall(tabId, params);
+      handleConsoleAPICall(tabId, params, sessionId);
       break;
     
     // ログエントリが追加された場合
     case "Log.entryAdded":
-      handleLogEntry(tabId, params);
+      handleLogEntry(tabId, params, sessionId);
       break;
     
+    // ブラウザのIssue（CSP違反・混在コンテンツ・Cookie・CORS・非推奨APIなど）が報告された場合
+    case "Audits.issueAdded":
+      handleIssueAdded(tabId, params, sessionId);
+      break;
+
+    // メインフレームが遷移した場合（ページセッションの開始）
+    case "Page.frameNavigated":
+      if (!sessionId) handleFrameNavigated(tabId, params);
+      break;
+
+    // 子ターゲット（iframe・ワーカー・Service Worker）が作成/破棄された場合
+    case "Target.attachedToTarget":
+      handleAttachedToTarget(tabId, params).catch((error) => console.warn('子ターゲットの監視に失敗しました:', error));
+      break;
+
+    case "Target.detachedFromTarget":
+      handleDetachedFromTarget(tabId, params);
+      break;
+
+    case "Target.targetInfoChanged":
+      handleTargetInfoChanged(tabId, params);
+      break;
+
+    // ページから送られたクリックと入力（ブレッドクラム）
+    case "Runtime.bindingCalled":
+      if (!sessionId) handleBindingCalled(tabId, params);
+      break;
+
+    // ネットワークリクエストが送信される場合（URL・メソッド等の記録）
+    case "Network.requestWillBeSent":
+      handleRequestWillBeSent(tabId, params, sessionId);
+      break;
+
+    // レスポンスを受信した場合（4xx/5xx の記録）
+    case "Network.responseReceived":
+      handleResponseReceived(tabId, params, sessionId);
+      break;
+
+    // ネットワークリクエストが完了した場合
+    case "Network.loadingFinished":
+      handleLoadingFinished(tabId, params, sessionId);
+      break;
+
     // ネットワークリクエストが失敗した場合
     case "Network.loadingFailed":
-      handleNetworkError(tabId, params);
+      handleNetworkError(tabId, params, sessionId);
       break;
   }
 });
 
 /**
  * デバッガーがデタッチされた時の処理
+ * 
+ * reason は "canceled_by_user"（デバッグ中のバーでキャンセル）または "target_closed"（タブを閉じた・クラッシュした）。
+ * ポップアップに表示するために、理由と時刻を detachReason に記録する。
  */
 chrome.debugger.onDetach.addListener((source, reason) => {
   const tabId = source.tabId;
-  if (!tabId) return;
+  if (!tabId || source.sessionId) return;
   
   // タブ状態を更新（外部要因によるデタッチに対応）
   const tabState = getTabState(tabId);
   if (tabState.attached) {
     tabState.attached = false;
+    tabState.autoAttached = false;
     tabState.session = null;
+    tabState.detachReason = { reason, at: Date.now() };
+    notifyNativeAttachChange(tabId, false, reason);
+    notifyDashboard(tabId);
+    setChromeSaveState(tabId);
   }
+  clearTabCaches(tabId);
 });
 
 /**
@@ -389,19 +3598,154 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   }
   // タブ状態を削除
   removeTabState(tabId);
+  clearTabCaches(tabId);
+  clearBreadcrumbs(tabId);
+  lastScreenshotAt.delete(tabId);
+  notifyDashboard(tabId);
+});
+
+/**
+ * タブが作成された時の処理（ダッシュボードの一覧に追加）
+ */
+chrome.tabs.onCreated.addListener((tab) => {
+  notifyDashboard(tab.id);
+});
+
+/**
+ * メインフレームの遷移が始まる時の処理（自動アタッチのパターンと照合し、アタッチ/デタッチ）
+ * 
+ * 新しいドキュメントが作られる前にアタッチを終えるため、tabs.onUpdated ではなくここで照合する。
+ * pushState やハッシュの変更では呼ばれない。
+ */
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateAutoAttach(details.tabId, details.url);
 });
 
 /**
- * タブが更新された時の処理（ページ読み込み時にエラーカウントをリセット）
+ * メインフレームの遷移が確定した時の処理（ページセッションを開始）
  * 
- * 注意：自動リセットは無効化されています
- * ユーザーが手動でリセットするまで、エラーカウントは保持されます
+ * アタッチ中のタブは Page.frameNavigated で検知するため、
+ * ここではアタッチしていない記録済みのタブの遷移だけを追跡します。
+ * pushState やハッシュの変更ではドキュメントが変わらないため呼ばれない。
+ */
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  const tabState = tabStates.get(details.tabId);
+  if (tabState && (!tabState.attached || !settings.enabledDomains.includes("Page"))) {
+    startPageSession(details.tabId, details.url);
+  }
+});
+
+/**
+ * タブが更新された時の処理（タイトルやURLの変化をダッシュボードに通知）
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.status === "loading") {
-    // 自動リセットを無効化 - ユーザーが手動でリセットするまで保持
-    // resetTabErrorCount(tabId);
-    // clearBadgeState(tabId);
+  if (changeInfo.title || changeInfo.url || changeInfo.favIconUrl) {
+    notifyDashboard(tabId);
+  }
+});
+
+// ====== キーボードショートカット ======
+// manifest.json の commands で定義したショートカットを、ポップアップを開かずに実行する。
+// 結果はバッジに短く表示してから元のエラーカウントに戻す。
+
+/** クリップボードにコピーするためのオフスクリーンドキュメント */
+const OFFSCREEN_DOCUMENT_PATH = "offscreen.html";
+
+/** ショートカットの結果をバッジに表示する時間（ミリ秒） */
+const COMMAND_FEEDBACK_MS = 1500;
+
+/**
+ * バッジに短いテキストを表示し、しばらくしてからエラーカウントの表示に戻す
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} text - 表示するテキスト（4文字程度まで）
+ */
+function flashBadge(tabId, text) {
+  chrome.action.setBadgeText({ tabId, text });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: settings.badgeColors.info });
+  setTimeout(() => showBadgeState(tabId), COMMAND_FEEDBACK_MS);
+}
+
+/**
+ * テキストをクリップボードにコピー
+ * 
+ * サービスワーカーからはクリップボードを使えないため、オフスクリーンドキュメントでコピーする。
+ * 
+ * @param {string} text - コピーするテキスト
+ * @returns {Promise<boolean>} コピーできたか
+ */
+async function copyToClipboard(text) {
+  try {
+    if (!(await chrome.offscreen.hasDocument())) {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ["CLIPBOARD"],
+        justification: "ショートカットで最新のエラーのプロンプトをコピーするため"
+      });
+    }
+    const res = await chrome.runtime.sendMessage({ type: "OFFSCREEN_COPY", text });
+    return !!res?.ok;
+  } catch (error) {
+    console.error('クリップボードへのコピーに失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * 最新のエラーから、ポップアップで選択中のテンプレートでプロンプトを作成
+ * 
+ * @param {number} tabId - タブID
+ * @returns {Promise<string|null>} プロンプト（最新のエラーがない場合はnull）
+ */
+async function buildLatestPrompt(tabId) {
+  const entry = getTabState(tabId).newErrorInfo;
+  if (!entry) return null;
+
+  const result = await chrome.storage.sync.get(["promptTemplates", "selectedPromptTemplateId"]);
+  const templates = Array.isArray(result.promptTemplates) && result.promptTemplates.length > 0
+    ? result.promptTemplates
+    : DEFAULT_PROMPT_TEMPLATES;
+  const template = templates.find((t) => t.id === result.selectedPromptTemplateId) || templates[0];
+  return renderPromptTemplate(template, entry);
+}
+
+/**
+ * キーボードショートカットの処理
+ * 
+ * - toggle-capture: 記録の開始/停止（デバッガーのアタッチ/デタッチ）
+ * - copy-latest-prompt: 最新のエラーのプロンプトをクリップボードにコピー
+ * - clear-errors: 現在のページの記録をクリア
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await initialization;
+  const tabId = tab?.id ?? await getActiveTabId();
+  if (!tabId) return;
+
+  switch (command) {
+    case "toggle-capture": {
+      const wasAttached = getTabState(tabId).attached;
+      await handleToggleDebugMode(tabId, (res) => {
+        flashBadge(tabId, res.attached === wasAttached ? "ERR" : res.attached ? "ON" : "OFF");
+      });
+      break;
+    }
+
+    case "copy-latest-prompt": {
+      const prompt = await buildLatestPrompt(tabId);
+      if (!prompt) {
+        flashBadge(tabId, "-");
+        break;
+      }
+      flashBadge(tabId, (await copyToClipboard(prompt)) ? "COPY" : "ERR");
+      break;
+    }
+
+    case "clear-errors":
+      clearTabErrors(tabId);
+      flashBadge(tabId, "CLR");
+      break;
   }
 });
 
@@ -410,19 +3754,30 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
 /**
  * ポップアップからのメッセージを処理
  * 
- * ポップアップ（popup.js）から送信されるメッセージを受信し、
+ * ポップアップ（popup.js）とダッシュボード（dashboard.js）から送信されるメッセージを受信し、
  * デバッグモードの制御や状態取得を行います。
+ * msg.tabId を指定した場合はそのタブを、省略した場合はアクティブなタブを対象にします。
  * 
  * 対応するメッセージタイプ：
  * - GET_DEBUG_STATE: 現在のデバッグ状態を取得
+ * - GET_ERROR_HISTORY: エラー履歴とエラーグループを取得（現在のページ）
+ * - GET_PAGE_SESSION: 指定したページセッションのエラー履歴とエラーグループを取得
  * - ATTACH_DEBUGGER: デバッガーをアタッチ
  * - DETACH_DEBUGGER: デバッガーをデタッチ
  * - TOGGLE_DEBUG_MODE: デバッグモードのON/OFF切り替え
  * - SHOW_ERROR_COUNT: エラーカウントを表示
  * - HIDE_ERROR_COUNT: エラーカウントを非表示
+ * - EXPORT_ERRORS: エクスポート用に記録済みのエントリを取得
+ * - CLEAR_ERRORS: 現在のページの記録をクリア
+ * - GET_ALL_TAB_STATES: ダッシュボード用に全タブの状態を取得
+ * - GET_SCREENSHOT: エントリのスクリーンショットを取得
  * 
  * @param {Object} msg - 受信したメッセージ
  * @param {string} msg.type - メッセージタイプ
+ * @param {number} [msg.tabId] - 対象のタブID（省略時はアクティブなタブ）
+ * @param {string} [msg.sessionId] - ページセッションID（GET_PAGE_SESSION）
+ * @param {boolean} [msg.allTabs] - 全タブを対象にするか（EXPORT_ERRORS）
+ * @param {string} [msg.entryId] - エントリID（GET_SCREENSHOT）
  * @param {Object} _sender - 送信者情報（未使用）
  * @param {Function} sendResponse - レスポンス送信関数
  * @returns {boolean} true - 非同期レスポンスを示す
@@ -430,8 +3785,20 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     (async () => {
       if (!msg || !msg.type) return;
+      await initialization;
+
+      if (msg.type === "GET_ALL_TAB_STATES") {
+        sendResponse({ ok: true, tabs: await getDashboardTabs() });
+        return;
+      }
+
+      if (msg.type === "GET_SCREENSHOT") {
+        const dataUrl = await loadScreenshot(msg.entryId);
+        sendResponse(dataUrl ? { ok: true, dataUrl } : { ok: false, error: "No screenshot." });
+        return;
+      }
   
-      const tabId = await getActiveTabId();
+      const tabId = msg.tabId ?? await getActiveTabId();
       if (!tabId) return sendResponse({ ok: false, error: "No active tab." });
   
       switch (msg.type) {
@@ -439,6 +3806,14 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
           handleGetDebugState(tabId, sendResponse);
           break;
   
+        case "GET_ERROR_HISTORY":
+          handleGetErrorHistory(tabId, sendResponse);
+          break;
+  
+        case "GET_PAGE_SESSION":
+          handleGetPageSession(tabId, msg.sessionId, sendResponse);
+          break;
+  
         case "ATTACH_DEBUGGER":
           await handleAttachDebugger(tabId, sendResponse);
           break;
@@ -458,6 +3833,14 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         case "HIDE_ERROR_COUNT":
           handleHideErrorCount(tabId, sendResponse);
           break;
+  
+        case "EXPORT_ERRORS":
+          await handleExportErrors(tabId, !!msg.allTabs, sendResponse);
+          break;
+  
+        case "CLEAR_ERRORS":
+          handleClearErrors(tabId, sendResponse);
+          break;
       }
     })();
     return true;
@@ -474,6 +3857,48 @@ function handleGetDebugState(tabId, sendResponse) {
   sendResponse(popupState);
 }
 
+/**
+ * エラー履歴取得の処理
+ * 
+ * @param {number} tabId - タブID
+ * @param {Function} sendResponse - レスポンス送信関数
+ */
+function handleGetErrorHistory(tabId, sendResponse) {
+  sendResponse({
+    ...getPopupState(tabId),
+    history: getErrorHistory(tabId),
+    groups: getErrorGroups(tabId),
+    pageSessions: getPageSessionSummaries(tabId),
+    pageSessionId: getTabState(tabId).pageSessionId
+  });
+}
+
+/**
+ * ページセッション取得の処理
+ * 
+ * 現在のページセッションを指定した場合は GET_ERROR_HISTORY と同じ内容を返す。
+ * 
+ * @param {number} tabId - タブID
+ * @param {string} sessionId - ページセッションID
+ * @param {Function} sendResponse - レスポンス送信関数
+ */
+function handleGetPageSession(tabId, sessionId, sendResponse) {
+  const tabState = getTabState(tabId);
+  const session = tabState.pageSessions.find((s) => s.id === sessionId);
+  if (!session) {
+    handleGetErrorHistory(tabId, sendResponse);
+    return;
+  }
+  sendResponse({
+    ...getPopupState(tabId),
+    newErrorInfo: session.newErrorInfo,
+    history: session.errorHistory,
+    groups: Object.values(session.errorGroups).sort((a, b) => b.lastSeen - a.lastSeen),
+    pageSessions: getPageSessionSummaries(tabId),
+    pageSessionId: session.id
+  });
+}
+
 /**
  * デバッガーアタッチの処理
  * 
@@ -598,6 +4023,107 @@ function handleHideErrorCount(tabId, sendResponse) {
   });
 }
 
+/**
+ * 記録のクリアの処理
+ * 
+ * @param {number} tabId - タブID
+ * @param {Function} sendResponse - レスポンス送信関数
+ */
+function handleClearErrors(tabId, sendResponse) {
+  clearTabErrors(tabId);
+  sendResponse({
+    ...getPopupState(tabId),
+    message: "エラーをクリアしました"
+  });
+}
+
+/**
+ * エクスポート用データ取得の処理
+ * 
+ * @param {number} tabId - タブID
+ * @param {boolean} allTabs - tabStates のすべてのタブを対象にするか
+ * @param {Function} sendResponse - レスポンス送信関数
+ */
+async function handleExportErrors(tabId, allTabs, sendResponse) {
+  const tabIds = allTabs ? Array.from(tabStates.keys()) : [tabId];
+  sendResponse({
+    ok: true,
+    data: await buildExportData(tabIds)
+  });
+}
+
+/**
+ * エクスポート用のデータを作成
+ * 
+ * 各タブの過去と現在のページセッションのエラー履歴を、ページ情報付きの1件ずつのエントリにする。
+ * スクリーンショットのあるエントリは screenshot.dataUrl に画像を含める。
+ * 
+ * @param {Array<number>} tabIds - 対象のタブID
+ * @returns {Promise<Object>} { meta, tabs, entries }
+ */
+async function buildExportData(tabIds) {
+  const openTabs = await chrome.tabs.query({});
+  const tabInfo = new Map(openTabs.map((tab) => [tab.id, tab]));
+
+  const tabs = [];
+  const entries = [];
+  tabIds.forEach((id) => {
+    const tabState = tabStates.get(id);
+    if (!tabState) return;
+    const tab = tabInfo.get(id);
+    tabs.push({
+      tabId: id,
+      title: tab?.title || "",
+      url: tab?.url || tabState.pageUrl,
+      attached: tabState.attached,
+      errorCount: tabState.errorCount
+    });
+
+    const sessions = [
+      ...tabState.pageSessions,
+      { id: tabState.pageSessionId, url: tabState.pageUrl, startedAt: tabState.pageStartedAt, endedAt: null, errorHistory: tabState.errorHistory }
+    ];
+    sessions.forEach((session) => {
+      session.errorHistory.forEach((entry) => {
+        entries.push({
+          ...entry,
+          tabId: id,
+          pageSessionId: session.id,
+          pageUrl: entry.pageUrl || session.url,
+          pageStartedAt: session.startedAt
+        });
+      });
+    });
+  });
+
+  // スクリーンショットは IndexedDB から読み込んでデータURLとして含める
+  for (const entry of entries) {
+    if (entry.screenshot) {
+      entry.screenshot = { ...entry.screenshot, dataUrl: await loadScreenshot(entry.id) };
+    }
+  }
+
+  return {
+    meta: {
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      extensionVersion: chrome.runtime.getManifest().version,
+      tabCount: tabs.length,
+      entryCount: entries.length
+    },
+    tabs,
+    entries
+  };
+}
+
 // ====== 初期化 ======
-chromeLoadState();
+loadIgnoreRules();
+initialization = Promise.all([chromeLoadState(), loadSettings()]).then(async ([previouslyAttached]) => {
+  retryCollectorQueue();
+  updateNativeBridge();
+  // アタッチが残っているタブに二重にアタッチしないように、アタッチ状態を合わせてから自動アタッチする
+  await reconcileDebuggerState(previouslyAttached);
+  autoAttachRegExps = compileAutoAttachPatterns(settings.autoAttachPatterns);
+  autoAttachOpenTabs();
+});
   
@@ -0,0 +1,255 @@
+// ====== 状態管理 ======
+/**
+ * 一覧に表示しているタブの状態（background.js の getDashboardTabs の結果）
+ *
+ * @type {Array<Object>}
+ */
+let dashboardTabs = [];
+
+/**
+ * 履歴を表示しているタブのID（nullの場合は非表示）
+ *
+ * @type {number|null}
+ */
+let selectedTabId = null;
+
+/**
+ * 履歴を表示しているタブのエラー履歴（古い順）
+ *
+ * @type {Array<Object>}
+ */
+let detailHistory = [];
+
+/**
+ * 履歴で選択中のエントリID（nullの場合は未選択）
+ *
+ * @type {string|null}
+ */
+let selectedEntryId = null;
+
+/** background との接続が切れた後に再接続するまでの時間（ミリ秒） */
+const RECONNECT_MS = 1000;
+
+// ====== 通信処理 ======
+
+/**
+ * background scriptにメッセージを送信
+ *
+ * @param {string} type - メッセージタイプ
+ * @param {Object} [payload] - メッセージに含める追加の値（tabId など）
+ * @returns {Promise<Object>} レスポンス
+ */
+function send(type, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type, ...payload }, (res) => resolve(res));
+  });
+}
+
+/**
+ * background に接続し、タブの状態の変化を受け取る
+ *
+ * サービスワーカーが停止すると接続が切れるため、少し待ってから再接続して一覧を取り直す。
+ */
+function connectBackground() {
+  const port = chrome.runtime.connect({ name: "dashboard" });
+  port.onMessage.addListener((msg) => {
+    if (msg?.type !== "tabs-changed") return;
+    loadTabs();
+    if (selectedTabId != null && msg.tabIds.includes(selectedTabId)) {
+      loadDetail();
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    setTimeout(() => {
+      connectBackground();
+      loadTabs();
+    }, RECONNECT_MS);
+  });
+}
+
+// ====== タブの一覧 ======
+
+/**
+ * ステータス表示を更新
+ *
+ * @param {string} message - 表示するメッセージ
+ */
+function showStatus(message) {
+  const el = document.getElementById("status");
+  if (el) el.textContent = message;
+}
+
+/**
+ * 全タブの状態を取得して一覧を描画
+ */
+async function loadTabs() {
+  const res = await send("GET_ALL_TAB_STATES");
+  if (!res?.ok) return;
+  dashboardTabs = res.tabs;
+  renderTabs();
+}
+
+/**
+ * タブの一覧を描画
+ */
+function renderTabs() {
+  const listEl = document.getElementById("tabList");
+  if (!listEl) return;
+
+  if (dashboardTabs.length === 0) {
+    listEl.innerHTML = '<tr><td colspan="5" class="small">タブがありません</td></tr>';
+    return;
+  }
+
+  listEl.innerHTML = dashboardTabs.map((tab) => {
+    const latest = tab.newErrorInfo;
+    const classes = [tab.tabId === selectedTabId ? "selected" : "", tab.open ? "" : "closed"].filter(Boolean).join(" ");
+    return `
+    <tr class="${classes}" data-tab-id="${tab.tabId}">
+      <td>
+        <div class="tab-title">
+          ${tab.favIconUrl ? `<img src="${escapeHtml(tab.favIconUrl)}" alt="">` : ""}
+          <span title="${escapeHtml(tab.title)}">${escapeHtml(tab.title || "(無題)")}</span>
+        </div>
+        <div class="tab-url" title="${escapeHtml(tab.url)}">${escapeHtml(tab.url)}</div>
+      </td>
+      <td><span class="state${tab.attached ? " attached" : ""}" title="${escapeHtml(tab.attached ? "" : formatDetachReason(tab.detachReason))}">${tab.attached ? "アタッチ中" : tab.open ? "未アタッチ" : "閉じたタブ"}</span></td>
+      <td><span class="count">${tab.errorCount}</span> <span class="small">/ ${tab.historyCount}件</span></td>
+      <td>
+        <div class="latest-error" title="${escapeHtml(latest ? formatTimestamp(latest.ts) : "")}">
+          ${latest ? `${createLevelBadge(latest.level)}${createKindBadges(latest)}${escapeHtml(latest.text || "(no message)")}` : '<span class="small">なし</span>'}
+        </div>
+      </td>
+      <td>
+        <div class="actions">
+          <button data-action="${tab.attached ? "detach" : "attach"}" ${tab.open ? "" : "disabled"}>${tab.attached ? "デタッチ" : "アタッチ"}</button>
+          <button data-action="clear" ${tab.historyCount > 0 || tab.errorCount > 0 ? "" : "disabled"}>クリア</button>
+          <button data-action="history">履歴</button>
+          <button data-action="focus" ${tab.open ? "" : "disabled"} title="このタブに切り替え">表示</button>
+        </div>
+      </td>
+    </tr>`;
+  }).join("");
+}
+
+/**
+ * 一覧の操作ボタンの処理
+ *
+ * @param {string} action - "attach" / "detach" / "clear" / "history" / "focus"
+ * @param {number} tabId - 対象のタブID
+ */
+async function handleTabAction(action, tabId) {
+  switch (action) {
+    case "attach":
+    case "detach": {
+      const res = await send(action === "attach" ? "ATTACH_DEBUGGER" : "DETACH_DEBUGGER", { tabId });
+      showStatus([res?.message, res?.error].filter(Boolean).join(": "));
+      break;
+    }
+    case "clear": {
+      const res = await send("CLEAR_ERRORS", { tabId });
+      showStatus(res?.message || "");
+      break;
+    }
+    case "history":
+      openDetail(tabId);
+      return;
+    case "focus": {
+      const tab = await chrome.tabs.update(tabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    }
+  }
+  await loadTabs();
+  if (tabId === selectedTabId) {
+    await loadDetail();
+  }
+}
+
+// ====== 履歴の表示 ======
+
+/**
+ * タブの履歴を表示
+ *
+ * @param {number} tabId - タブID
+ */
+async function openDetail(tabId) {
+  if (tabId !== selectedTabId) {
+    selectedEntryId = null;
+  }
+  selectedTabId = tabId;
+  document.getElementById("detail").hidden = false;
+  renderTabs();
+  await loadDetail();
+}
+
+/**
+ * 履歴を閉じる
+ */
+function closeDetail() {
+  selectedTabId = null;
+  selectedEntryId = null;
+  detailHistory = [];
+  document.getElementById("detail").hidden = true;
+  renderTabs();
+}
+
+/**
+ * 表示中のタブのエラー履歴を取得して描画
+ */
+async function loadDetail() {
+  if (selectedTabId == null) return;
+  const res = await send("GET_ERROR_HISTORY", { tabId: selectedTabId });
+  if (!res) return;
+  detailHistory = res.history || [];
+  renderDetail();
+}
+
+/**
+ * 表示中のタブのエラー履歴を描画（新しいエントリが上）
+ */
+function renderDetail() {
+  const tab = dashboardTabs.find((t) => t.tabId === selectedTabId);
+  document.getElementById("detailTitle").textContent = tab?.title || tab?.url || `タブ ${selectedTabId}`;
+
+  const historyEl = document.getElementById("detailHistory");
+  historyEl.innerHTML = detailHistory.length === 0
+    ? '<li class="empty">履歴はありません</li>'
+    : detailHistory.slice().reverse().map((entry) => `
+    <li class="history-item${entry.id === selectedEntryId ? " selected" : ""}${entry.ignored ? " ignored" : ""}" data-id="${escapeHtml(entry.id || "")}"
+        ${entry.ignored ? 'title="無視ルールに一致（カウント対象外）"' : ""}>
+      ${createLevelBadge(entry.level)}${createKindBadges(entry)}
+      <span class="history-text">${escapeHtml(entry.text || "(no message)")}</span>
+      <span class="history-time">${escapeHtml(formatTimestamp(entry.ts))}</span>
+    </li>
+  `).join("");
+
+  const entry = detailHistory.find((e) => e.id === selectedEntryId);
+  const logEl = document.getElementById("detailLog");
+  logEl.hidden = !entry;
+  logEl.textContent = entry ? formatLog(entry) : "";
+}
+
+// ====== イベントリスナー設定 ======
+
+// 一覧の操作ボタン
+document.getElementById("tabList").addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action]");
+  const row = e.target.closest("tr[data-tab-id]");
+  if (!button || !row) return;
+  handleTabAction(button.dataset.action, Number(row.dataset.tabId));
+});
+
+// 履歴のエントリを選択して詳細を表示
+document.getElementById("detailHistory").addEventListener("click", (e) => {
+  const item = e.target.closest(".history-item");
+  if (!item) return;
+  selectedEntryId = item.dataset.id === selectedEntryId ? null : item.dataset.id;
+  renderDetail();
+});
+
+document.getElementById("closeDetailButton").addEventListener("click", closeDetail);
+
+// ====== 初期化処理 ======
+connectBackground();
+loadTabs();
@@ -0,0 +1,113 @@
+// ====== エクスポート ======
+// popup.js から読み込み、background.js の EXPORT_ERRORS が返すデータをファイルにする
+// スタックの整形は format.js の formatStack を使う（popup.html で先に読み込む）
+
+/**
+ * エクスポート形式ごとの拡張子とMIMEタイプ
+ */
+const EXPORT_FORMATS = {
+  json: { extension: "json", mimeType: "application/json" },
+  ndjson: { extension: "ndjson", mimeType: "application/x-ndjson" },
+  csv: { extension: "csv", mimeType: "text/csv" }
+};
+
+/**
+ * CSVの列（見出しと値の取り出し方）
+ */
+const CSV_COLUMNS = [
+  ["tabId", (e) => e.tabId],
+  ["pageSessionId", (e) => e.pageSessionId],
+  ["pageUrl", (e) => e.pageUrl],
+  ["pageStartedAt", (e) => toIsoString(e.pageStartedAt)],
+  ["id", (e) => e.id],
+  ["timestamp", (e) => toIsoString(e.ts)],
+  ["level", (e) => e.level],
+  ["source", (e) => e.source],
+  ["text", (e) => e.text],
+  ["url", (e) => e.url],
+  ["line", (e) => e.line],
+  ["column", (e) => e.column],
+  ["fingerprint", (e) => e.fingerprint],
+  ["ignored", (e) => (e.ignored ? "true" : "")],
+  ["networkMethod", (e) => e.network?.method],
+  ["networkUrl", (e) => e.network?.url],
+  ["networkStatus", (e) => e.network?.status],
+  ["screenshotCapturedAt", (e) => toIsoString(e.screenshot?.capturedAt)],
+  ["stack", (e) => formatStack(e.stack)]
+];
+
+/**
+ * タイムスタンプをISO 8601形式に変換（値がない場合は空文字）
+ * 
+ * @param {number|undefined} ts - タイムスタンプ（ミリ秒）
+ * @returns {string} ISO 8601形式の文字列
+ */
+function toIsoString(ts) {
+  return ts ? new Date(ts).toISOString() : "";
+}
+
+/**
+ * CSVのセルをエスケープ
+ * 
+ * @param {*} value - セルの値
+ * @returns {string} エスケープされたセル
+ */
+function escapeCsvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * エクスポート用データを指定した形式の文字列にする
+ * 
+ * - json: meta / tabs / entries を持つ整形済みJSON
+ * - ndjson: 1行目が { type: "meta" }、以降が { type: "entry" } の1行1レコード
+ * - csv: 1行1エントリ（メタ情報は exportedAt / userAgent 列として各行に付与）
+ * 
+ * @param {Object} data - EXPORT_ERRORS のデータ（meta, tabs, entries）
+ * @param {string} format - "json" / "ndjson" / "csv"
+ * @returns {string} ファイルの内容
+ */
+function serializeExport(data, format) {
+  switch (format) {
+    case "ndjson":
+      return [
+        JSON.stringify({ type: "meta", ...data.meta, tabs: data.tabs }),
+        ...data.entries.map((entry) => JSON.stringify({ type: "entry", ...entry }))
+      ].join("\n") + "\n";
+
+    case "csv": {
+      const header = [...CSV_COLUMNS.map(([name]) => name), "exportedAt", "userAgent"];
+      const rows = data.entries.map((entry) => [
+        ...CSV_COLUMNS.map(([, pick]) => pick(entry)),
+        data.meta.exportedAt,
+        data.meta.userAgent
+      ]);
+      return [header, ...rows].map((row) => row.map(escapeCsvCell).join(",")).join("\r\n") + "\r\n";
+    }
+
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+/**
+ * エクスポート用データをファイルとしてダウンロード
+ * 
+ * @param {Object} data - EXPORT_ERRORS のデータ（meta, tabs, entries）
+ * @param {string} format - "json" / "ndjson" / "csv"
+ */
+function downloadExport(data, format) {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const blob = new Blob([serializeExport(data, format)], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const stamp = data.meta.exportedAt.replace(/[:.]/g, "-");
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `errors-${stamp}.${extension}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
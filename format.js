@@ -0,0 +1,313 @@
+// ====== 表示用のフォーマット ======
+// ポップアップ・ダッシュボード（scriptタグ）と background.js（importScripts）で共通して使うエラー情報のフォーマット関数
+
+/**
+ * タイムスタンプをローカル時間形式に変換
+ */
+function formatTimestamp(ts) {
+  try { return new Date(ts).toLocaleString(); } catch { return String(ts); }
+}
+
+/**
+ * ログレベルのピル（バッジ）を生成
+ */
+function createLevelBadge(level) {
+  const lv = (level || "info").toLowerCase();
+  return `<span class="pill ${lv}">${lv}</span>`;
+}
+
+/**
+ * エラーのクラスごとの色分けに使うCSSクラス（該当しないクラスは kind-other）
+ */
+const ERROR_CLASS_KINDS = {
+  TypeError: "kind-type",
+  ReferenceError: "kind-reference",
+  SyntaxError: "kind-syntax",
+  RangeError: "kind-range"
+};
+
+/**
+ * 例外の種類（エラーのクラス・未処理のPromise拒否）を表示名とCSSクラスにする
+ * 
+ * @param {Object} log - エラー情報
+ * @returns {{label: string, kind: string}|null} 種類（例外以外、またはクラスが不明な場合はnull）
+ */
+function getEntryKind(log) {
+  if (log.source !== "exception" || (!log.errorClass && !log.promiseRejection)) return null;
+  const errorClass = log.errorClass || "Error";
+  if (log.promiseRejection) {
+    return { label: `${errorClass} (in promise)`, kind: "kind-promise" };
+  }
+  return { label: errorClass, kind: ERROR_CLASS_KINDS[errorClass] || "kind-other" };
+}
+
+/**
+ * デバッガーが意図せずデタッチされた理由の表示名（chrome.debugger.onDetach の reason と、再起動後に復元できなかった場合）
+ */
+const DETACH_REASON_LABELS = {
+  canceled_by_user: "デバッグ中のバーでキャンセルされました",
+  target_closed: "タブが閉じられたかクラッシュしました",
+  lost_after_restart: "拡張機能の再起動後にアタッチを復元できませんでした"
+};
+
+/**
+ * デタッチの理由を表示用のテキストにする
+ * 
+ * @param {Object|null} detachReason - デタッチの理由と時刻（{ reason, at }）
+ * @returns {string} テキスト（理由がない場合は空文字）
+ */
+function formatDetachReason(detachReason) {
+  if (!detachReason) return "";
+  const label = DETACH_REASON_LABELS[detachReason.reason] || detachReason.reason;
+  return `${label}（${formatTimestamp(detachReason.at)}）`;
+}
+
+/**
+ * 子ターゲットの種類の表示名（CDP の TargetInfo.type）
+ */
+const TARGET_TYPE_LABELS = {
+  iframe: "iframe",
+  worker: "worker",
+  service_worker: "service worker",
+  shared_worker: "shared worker"
+};
+
+/**
+ * エラーの発生元（iframe・ワーカー）の表示名を作成
+ * 
+ * 子ターゲットで発生した場合は「worker: sw.js」のように種類とファイル名を表示する。
+ * 
+ * @param {Object} log - エラー情報
+ * @returns {string} 表示名（メインフレームで発生した場合は空文字）
+ */
+function getRealmLabel(log) {
+  if (log.target) {
+    const label = TARGET_TYPE_LABELS[log.target.type] || log.target.type;
+    let name = log.target.url || "";
+    try {
+      name = new URL(name).pathname.split("/").filter(Boolean).pop() || new URL(name).host;
+    } catch {
+      // URLとして解釈できない場合はそのまま表示
+    }
+    return name ? `${label}: ${name}` : label;
+  }
+  return log.realm && log.realm !== "main" ? log.realm : "";
+}
+
+/**
+ * 例外の種類と発生したフレーム（iframe・ワーカー）のピルを生成
+ * 
+ * メインフレームで発生した場合は発生元のピルを付けない。
+ * 
+ * @param {Object} log - エラー情報
+ * @returns {string} HTML（該当しない場合は空文字）
+ */
+function createKindBadges(log) {
+  const kind = getEntryKind(log);
+  const kindBadge = kind ? `<span class="pill kind ${kind.kind}">${escapeHtml(kind.label)}</span>` : "";
+  const realm = getRealmLabel(log);
+  const realmBadge = realm
+    ? `<span class="pill realm"${log.target?.url ? ` title="${escapeHtml(log.target.url)}"` : ""}>${escapeHtml(realm)}</span>`
+    : "";
+  return kindBadge + realmBadge;
+}
+
+/**
+ * HTMLエスケープ処理
+ */
+function escapeHtml(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * 位置情報を "url:行:列" 形式にフォーマット（行・列は1始まり）
+ * 
+ * @param {Object} pos - 位置情報（url, line, column）
+ * @returns {string} フォーマットされた位置
+ */
+function formatPosition(pos) {
+  return [pos.url || "<anonymous>", pos.line != null ? pos.line + 1 : "", pos.column != null ? pos.column + 1 : ""]
+    .filter((v) => v !== "").join(":");
+}
+
+/**
+ * スタックトレースをテキスト形式にフォーマット
+ * 
+ * DevToolsと同じく行番号・列番号は1始まりで表示する。
+ * ソースマップで解決済みのフレームは生成コード上の位置も併記する。
+ * 文字列のスタック（旧形式）はそのまま返す。
+ * 
+ * @param {Array<Object>|string} stack - スタックフレームの配列
+ * @returns {string} 1行1フレームのテキスト（スタックがない場合は空文字）
+ */
+function formatStack(stack) {
+  if (!stack) return "";
+  if (!Array.isArray(stack)) return String(stack);
+  return stack.map((frame) => {
+    if (frame.asyncBoundary) return `    --- ${frame.asyncBoundary} ---`;
+    const generated = frame.generated ? ` [${formatPosition(frame.generated)}]` : "";
+    return `    at ${frame.functionName || "(anonymous)"} (${formatPosition(frame)})${generated}`;
+  }).join("\n");
+}
+
+/**
+ * ネットワークエラーの詳細をテキスト形式にフォーマット
+ * 
+ * @param {Object} network - ネットワーク詳細（url, method, status 等）
+ * @returns {string} 1行1項目のテキスト（詳細がない場合は空文字）
+ */
+function formatNetwork(network) {
+  if (!network) return "";
+  const initiator = network.initiator
+    ? [network.initiator.type, network.initiator.url ? formatPosition(network.initiator) : ""]
+      .filter(Boolean).join(" ")
+    : "";
+  return [
+    ["request", [network.method, network.url].filter(Boolean).join(" ")],
+    ["type", network.resourceType],
+    ["status", network.status != null ? `${network.status} ${network.statusText || ""}`.trim() : ""],
+    ["error", network.errorText || network.blockedReason || ""],
+    ["initiator", initiator],
+    ["duration", network.duration != null ? `${network.duration}ms` : ""]
+  ].filter(([, value]) => value).map(([key, value]) => `    ${key}: ${value}`)
+    .concat(formatBody("requestBody", network.requestBody, network.requestBodyTruncated))
+    .concat(formatBody("responseBody", network.responseBody, network.responseBodyTruncated))
+    .join("\n");
+}
+
+/**
+ * リクエスト/レスポンスのボディをインデント付きの行にフォーマット
+ * 
+ * @param {string} label - 見出し
+ * @param {string|undefined} body - ボディ
+ * @param {boolean} truncated - 切り詰められているか
+ * @returns {Array<string>} 行の配列（ボディがない場合は空配列）
+ */
+function formatBody(label, body, truncated) {
+  if (body == null || body === "") return [];
+  const lines = String(body).split("\n").map((line) => `      ${line}`);
+  return [`    ${label}${truncated ? " (truncated)" : ""}:`, ...lines];
+}
+
+/**
+ * ブレッドクラムの発生時刻を、エラーの発生時刻からの差（例: "-3.2s"）にする
+ * 
+ * @param {Object} crumb - ブレッドクラム（ts, category, message）
+ * @param {number} [ts] - エラーの発生時刻（ミリ秒）
+ * @returns {string} 時刻の差（エラーの発生時刻がない場合はローカル時刻）
+ */
+function formatBreadcrumbOffset(crumb, ts) {
+  if (!ts) return formatTimestamp(crumb.ts);
+  return `-${(Math.max(0, ts - crumb.ts) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * ブレッドクラムをテキスト形式にフォーマット（1行1件、古い順）
+ * 
+ * @param {Array<Object>|undefined} breadcrumbs - ブレッドクラム
+ * @param {number} [ts] - エラーの発生時刻（ミリ秒）
+ * @returns {string} テキスト（ない場合は空文字）
+ */
+function formatBreadcrumbs(breadcrumbs, ts) {
+  if (!Array.isArray(breadcrumbs) || breadcrumbs.length === 0) return "";
+  return breadcrumbs.map((crumb) => `  ${formatBreadcrumbOffset(crumb, ts)} [${crumb.category}] ${crumb.message}`).join("\n");
+}
+
+/**
+ * 失敗した行の周辺のソースコードをテキスト形式にフォーマット
+ * 
+ * 1行目に位置を、以降に行番号付きのソースを出力し、失敗した行に ">" を付ける。
+ * 
+ * @param {Object|undefined} snippet - ソースコードの抜粋（url, line, column, startLine, lines, original）
+ * @returns {string} テキスト（ない場合は空文字）
+ */
+function formatSourceSnippet(snippet) {
+  if (!snippet?.lines?.length) return "";
+  const lastNumber = snippet.startLine + snippet.lines.length;
+  const width = String(lastNumber).length;
+  const body = snippet.lines.map((text, i) => {
+    const lineIndex = snippet.startLine + i;
+    const marker = lineIndex === snippet.line ? ">" : " ";
+    return `  ${marker} ${String(lineIndex + 1).padStart(width)} | ${text}`;
+  });
+  const label = `${formatPosition(snippet)}${snippet.original ? "" : " (generated)"}`;
+  return [`    ${label}`, ...body].join("\n");
+}
+
+/**
+ * 展開したコンソールの引数（オブジェクトのみ）をテキスト形式にフォーマット
+ * 
+ * @param {Array<*>|undefined} consoleArgs - 展開したコンソールの引数
+ * @returns {string} 1引数ごとに番号を付けたJSON（オブジェクトがない場合は空文字）
+ */
+function formatExpandedArgs(consoleArgs) {
+  if (!Array.isArray(consoleArgs)) return "";
+  return consoleArgs
+    .map((value, index) => [index, value])
+    .filter(([, value]) => value !== null && typeof value === "object")
+    .map(([index, value]) => `    [${index}] ${JSON.stringify(value, null, 2).replace(/\n/g, "\n      ")}`)
+    .join("\n");
+}
+
+/**
+ * ログをテキスト形式にフォーマット
+ * 
+ * @param {Object} log - エラー情報
+ * @param {Object} [include] - 含める項目（stack, network, sourceSnippet, breadcrumbs）。省略時はすべて含める
+ * @returns {string} テキスト
+ */
+function formatLog(log, include = { stack: true, network: true, sourceSnippet: true, breadcrumbs: true }) {
+  const head = `[${(log.level || "info").toUpperCase()}][${log.source || "log"}] ${log.text || "(no message)"}`;
+  const meta = [log.url ? formatPosition(log) : "", log.ts ? new Date(log.ts).toISOString() : ""]
+    .filter(Boolean).join(" | ");
+  const metaLine = meta ? `\nmeta: ${meta}` : "";
+  const generatedLine = log.generated ? `\ngenerated: ${formatPosition(log.generated)}` : "";
+  const kind = getEntryKind(log);
+  const realm = getRealmLabel(log);
+  const kindText = [kind?.label, realm ? `in ${realm}` : ""].filter(Boolean).join(" ");
+  const targetLine = log.target?.url ? `\ntarget: ${log.target.url}` : "";
+  const kindLine = kindText ? `\ntype: ${kindText}` : "";
+  const issueLine = log.issue ? `\nissue: ${log.issue.code} (${log.issue.category})` : "";
+  const argsText = formatExpandedArgs(log.consoleArgs);
+  const args = argsText ? `\nargs:\n${argsText}` : "";
+  const stackText = include.stack ? formatStack(log.stack) : "";
+  const stack = stackText ? `\nstack:\n${stackText}` : "";
+  const networkText = include.network ? formatNetwork(log.network) : "";
+  const network = networkText ? `\nnetwork:\n${networkText}` : "";
+  const snippetText = include.sourceSnippet ? formatSourceSnippet(log.sourceSnippet) : "";
+  const snippet = snippetText ? `\nsource:\n${snippetText}` : "";
+  const breadcrumbsText = include.breadcrumbs ? formatBreadcrumbs(log.breadcrumbs, log.ts) : "";
+  const breadcrumbs = breadcrumbsText ? `\nbreadcrumbs:\n${breadcrumbsText}` : "";
+  return `${head}${metaLine}${generatedLine}${kindLine}${targetLine}${issueLine}${args}${network}${stack}${snippet}${breadcrumbs}`;
+}
+
+/**
+ * テンプレートのプレースホルダーをエラー情報で置き換えてプロンプトを作成
+ * 
+ * include で除外した項目と、エラー情報にない項目は空文字になる。
+ * エラー情報がない場合は、プレースホルダーをすべて取り除いた文章を返す。
+ * 
+ * @param {Object} template - プロンプトのテンプレート（body, include）
+ * @param {Object|null} log - エラー情報
+ * @returns {string} プロンプト
+ */
+function renderPromptTemplate(template, log) {
+  const include = template.include || {};
+  const values = log ? {
+    log: formatLog(log, include),
+    message: log.text || "(no message)",
+    level: log.level || "info",
+    source: log.source || "",
+    url: log.url ? formatPosition(log) : "",
+    pageUrl: log.pageUrl || "",
+    timestamp: log.ts ? new Date(log.ts).toISOString() : "",
+    stack: include.stack ? formatStack(log.stack) : "",
+    network: include.network ? formatNetwork(log.network) : "",
+    sourceSnippet: include.sourceSnippet ? formatSourceSnippet(log.sourceSnippet) : "",
+    breadcrumbs: include.breadcrumbs ? formatBreadcrumbs(log.breadcrumbs, log.ts) : ""
+  } : {};
+  return template.body
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => values[key] || (log ? "(なし)" : ""))
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,15 @@
+// ====== クリップボード ======
+// サービスワーカーからはクリップボードを使えないため、background.js がこのドキュメントを
+// chrome.offscreen で作成し、{ type: "OFFSCREEN_COPY", text } を送ってコピーさせる。
+// オフスクリーンドキュメントはフォーカスを持たないので navigator.clipboard ではなく execCommand を使う。
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.type !== "OFFSCREEN_COPY") return;
+
+  const textarea = document.getElementById("clipboard");
+  textarea.value = msg.text || "";
+  textarea.select();
+  const ok = document.execCommand("copy");
+  textarea.value = "";
+  sendResponse({ ok });
+});
@@ -0,0 +1,626 @@
+// ====== 定数 ======
+
+// レベルの選択肢（空文字は任意）
+const RULE_LEVELS = ["", "error", "warning", "info", "verbose"];
+
+// ソースの候補（Log.entryAdded のソースも入力できるよう自由入力にする）
+const RULE_SOURCES = ["exception", "console", "network", "issue", "javascript", "security", "violation", "intervention", "deprecation", "other"];
+
+// 動作の選択肢
+const RULE_ACTIONS = [
+  { value: "drop", label: "記録しない" },
+  { value: "silence", label: "カウントしない" }
+];
+
+// ====== ユーティリティ関数 ======
+
+/**
+ * HTMLエスケープ処理（属性値にも使えるよう引用符もエスケープ）
+ */
+function escapeHtml(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * ステータス表示を更新
+ * 
+ * @param {string} id - ステータス要素のID
+ * @param {string} message - 表示するメッセージ
+ * @param {boolean} [isError=false] - エラー表示にするか
+ */
+function showStatus(id, message, isError = false) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.textContent = message;
+  el.classList.toggle("error", isError);
+}
+
+// ====== 取得設定 ======
+
+// 記録するイベントの種類と表示名
+const CAPTURE_SOURCES = [
+  { value: "exception", label: "例外" },
+  { value: "console", label: "コンソール" },
+  { value: "log", label: "ブラウザログ" },
+  { value: "network", label: "ネットワーク" },
+  { value: "issue", label: "ブラウザのIssue（Auditsドメイン）" }
+];
+
+/**
+ * ブレッドクラムに残す出来事（settings.breadcrumbSources のキー）
+ */
+const BREADCRUMB_SOURCES = [
+  { value: "navigation", label: "ページ遷移" },
+  { value: "network", label: "ネットワーク" },
+  { value: "console", label: "コンソールの info/log" },
+  { value: "interaction", label: "クリックと入力" }
+];
+
+/**
+ * ブラウザのIssueの分類の表示名
+ */
+const ISSUE_CATEGORY_LABELS = {
+  csp: "CSP違反",
+  mixedContent: "混在コンテンツ",
+  cookie: "Cookie",
+  cors: "CORS",
+  deprecation: "非推奨API",
+  other: "その他"
+};
+
+/**
+ * チェックボックスの並びを描画
+ * 
+ * @param {string} id - 描画先の要素ID
+ * @param {Array<{value: string, label: string}>} items - 選択肢
+ * @param {function(string): boolean} isChecked - チェック状態
+ */
+function renderChecks(id, items, isChecked) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.innerHTML = items.map(({ value, label }) => `
+    <label><input type="checkbox" value="${escapeHtml(value)}"${isChecked(value) ? " checked" : ""}> ${escapeHtml(label)}</label>
+  `).join("");
+}
+
+/**
+ * チェックされている値の一覧を取得
+ * 
+ * @param {string} id - チェックボックスの並びの要素ID
+ * @returns {Array<string>} チェックされている値
+ */
+function readChecks(id) {
+  return Array.from(document.querySelectorAll(`#${id} input:checked`)).map((input) => input.value);
+}
+
+/**
+ * HTTPステータスの範囲を "400-499, 500" 形式の文字列にする
+ * 
+ * @param {Array<{min: number, max: number}>} ranges - ステータスの範囲
+ * @returns {string} 文字列表現
+ */
+function formatStatusRanges(ranges) {
+  return ranges.map(({ min, max }) => (min === max ? String(min) : `${min}-${max}`)).join(", ");
+}
+
+/**
+ * "400-499, 500" 形式の文字列をHTTPステータスの範囲に変換
+ * 
+ * @param {string} text - 文字列表現
+ * @returns {Array<{min: number, max: number}>|null} ステータスの範囲（不正な場合はnull）
+ */
+function parseStatusRanges(text) {
+  const ranges = [];
+  for (const part of text.split(",").map((p) => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d{3})(?:\s*-\s*(\d{3}))?$/);
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = Number(match[2] || match[1]);
+    if (min > max) return null;
+    ranges.push({ min, max });
+  }
+  return ranges;
+}
+
+/**
+ * HTTPヘッダーを「名前: 値」の行に変換
+ * 
+ * @param {Object} headers - ヘッダー
+ * @returns {string} 1行1ヘッダーのテキスト
+ */
+function formatHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join("\n");
+}
+
+/**
+ * 「名前: 値」の行をHTTPヘッダーに変換
+ * 
+ * @param {string} text - 1行1ヘッダーのテキスト
+ * @returns {Object|null} ヘッダー（不正な行がある場合はnull）
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.split("\n").map((l) => l.trim()).filter(Boolean)) {
+    const index = line.indexOf(":");
+    if (index <= 0) return null;
+    headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * 設定を画面に反映
+ * 
+ * @param {Object} settings - 設定
+ */
+function renderSettings(settings) {
+  document.getElementById("cdpVersion").value = settings.cdpVersion;
+  renderChecks("enabledDomains", CDP_DOMAINS.map((d) => ({ value: d, label: d })), (d) => settings.enabledDomains.includes(d));
+  document.getElementById("monitorChildTargets").checked = settings.monitorChildTargets;
+  renderChecks("captureSources", CAPTURE_SOURCES, (source) => settings.captureSources[source]);
+  document.getElementById("issueLevels").innerHTML = ISSUE_CATEGORIES.map((category) => `
+    <label>${escapeHtml(ISSUE_CATEGORY_LABELS[category])}
+      <select data-category="${category}">
+        <option value="">記録しない</option>
+        ${SEVERITY_LEVELS.map((level) => `<option value="${level}"${settings.issueLevels[category] === level ? " selected" : ""}>${level}</option>`).join("")}
+      </select>
+    </label>
+  `).join("");
+  document.getElementById("historySize").value = settings.historySize;
+  document.getElementById("maxErrorGroups").value = settings.maxErrorGroups;
+  document.getElementById("consoleExpandDepth").value = settings.consoleExpandDepth;
+  document.getElementById("captureSourceSnippet").checked = settings.captureSourceSnippet;
+  document.getElementById("sourceSnippetContext").value = settings.sourceSnippetContext;
+  document.getElementById("preserveLog").checked = settings.preserveLog;
+  document.getElementById("maxPageSessions").value = settings.maxPageSessions;
+  document.getElementById("storageBudgetKB").value = settings.storageBudgetKB;
+
+  document.getElementById("autoAttachPatterns").value = settings.autoAttachPatterns.join("\n");
+
+  renderChecks("breadcrumbSources", BREADCRUMB_SOURCES, (source) => settings.breadcrumbSources[source]);
+  document.getElementById("breadcrumbBufferSize").value = settings.breadcrumbBufferSize;
+  document.getElementById("breadcrumbsPerEntry").value = settings.breadcrumbsPerEntry;
+
+  document.getElementById("screenshotOnError").checked = settings.screenshotOnError;
+  document.getElementById("screenshotInterval").value = settings.screenshotInterval;
+  document.getElementById("screenshotMaxKB").value = settings.screenshotMaxKB;
+  document.getElementById("maxScreenshots").value = settings.maxScreenshots;
+
+  renderChecks("countLevels", SEVERITY_LEVELS.map((l) => ({ value: l, label: l })), (l) => settings.countLevels.includes(l));
+  document.getElementById("badgeMode").value = settings.badgeMode;
+  document.getElementById("badgeColors").innerHTML = SEVERITY_LEVELS.map((level) => `
+    <label><input type="color" data-level="${level}" value="${escapeHtml(settings.badgeColors[level])}"> ${level}</label>
+  `).join("");
+
+  document.getElementById("networkErrorStatuses").value = formatStatusRanges(settings.networkErrorStatuses);
+  document.getElementById("captureResponseBody").checked = settings.captureResponseBody;
+  document.getElementById("captureRequestPostData").checked = settings.captureRequestPostData;
+  document.getElementById("bodyMaxLength").value = settings.bodyMaxLength;
+  document.getElementById("responseBodyContentTypes").value = settings.responseBodyContentTypes.join(", ");
+
+  document.getElementById("collectorEnabled").checked = settings.collectorEnabled;
+  document.getElementById("collectorUrl").value = settings.collectorUrl;
+  document.getElementById("collectorHeaders").value = formatHeaders(settings.collectorHeaders);
+  document.getElementById("collectorBatchSize").value = settings.collectorBatchSize;
+  document.getElementById("collectorFlushInterval").value = settings.collectorFlushInterval;
+  document.getElementById("collectorFormat").value = settings.collectorFormat;
+
+  document.getElementById("nativeBridgeEnabled").checked = settings.nativeBridgeEnabled;
+  document.getElementById("nativeHostName").value = settings.nativeHostName;
+}
+
+/**
+ * 画面の入力内容から設定を読み取る
+ * 
+ * @returns {{settings: Object|null, error: string|null}} 設定（不正な入力がある場合はエラーメッセージ）
+ */
+function readSettings() {
+  const networkErrorStatuses = parseStatusRanges(document.getElementById("networkErrorStatuses").value);
+  if (!networkErrorStatuses) {
+    return { settings: null, error: "HTTPステータスは「400-499, 500」の形式で入力してください" };
+  }
+  const collectorHeaders = parseHeaders(document.getElementById("collectorHeaders").value);
+  if (!collectorHeaders) {
+    return { settings: null, error: "HTTPヘッダーは1行に「名前: 値」の形式で入力してください" };
+  }
+  const collectorUrl = document.getElementById("collectorUrl").value.trim();
+  if (collectorUrl && !/^https?:\/\//.test(collectorUrl)) {
+    return { settings: null, error: "送信先URLは http:// または https:// で始めてください" };
+  }
+  const collectorBatchSize = Number(document.getElementById("collectorBatchSize").value);
+  const collectorFlushInterval = Number(document.getElementById("collectorFlushInterval").value);
+  if (!(collectorBatchSize >= 1) || !(collectorFlushInterval >= 1)) {
+    return { settings: null, error: "送信件数・送信間隔には1以上の数を入力してください" };
+  }
+  const historySize = Number(document.getElementById("historySize").value);
+  const maxErrorGroups = Number(document.getElementById("maxErrorGroups").value);
+  const bodyMaxLength = Number(document.getElementById("bodyMaxLength").value);
+  const maxPageSessions = Number(document.getElementById("maxPageSessions").value);
+  const storageBudgetKB = Number(document.getElementById("storageBudgetKB").value);
+  const sourceSnippetContext = Number(document.getElementById("sourceSnippetContext").value);
+  const consoleExpandDepth = Number(document.getElementById("consoleExpandDepth").value);
+  const screenshotInterval = Number(document.getElementById("screenshotInterval").value);
+  const screenshotMaxKB = Number(document.getElementById("screenshotMaxKB").value);
+  const maxScreenshots = Number(document.getElementById("maxScreenshots").value);
+  const breadcrumbBufferSize = Number(document.getElementById("breadcrumbBufferSize").value);
+  const breadcrumbsPerEntry = Number(document.getElementById("breadcrumbsPerEntry").value);
+  if (!(historySize >= 1) || !(maxErrorGroups >= 1) || !(bodyMaxLength >= 0) || !(maxPageSessions >= 0) || !(sourceSnippetContext >= 0) ||
+      !(consoleExpandDepth >= 0 && consoleExpandDepth <= 3) ||
+      !(screenshotInterval >= 1) || !(screenshotMaxKB >= 10) || !(maxScreenshots >= 1) ||
+      !(breadcrumbBufferSize >= 1) || !(breadcrumbsPerEntry >= 0) || !(storageBudgetKB >= 256)) {
+    return { settings: null, error: "件数・文字数には正の数を入力してください" };
+  }
+
+  const captureSources = {};
+  CAPTURE_SOURCES.forEach(({ value }) => { captureSources[value] = false; });
+  readChecks("captureSources").forEach((source) => { captureSources[source] = true; });
+
+  const breadcrumbSources = {};
+  BREADCRUMB_SOURCES.forEach(({ value }) => { breadcrumbSources[value] = false; });
+  readChecks("breadcrumbSources").forEach((source) => { breadcrumbSources[source] = true; });
+
+  const issueLevels = {};
+  document.querySelectorAll("#issueLevels select[data-category]").forEach((select) => {
+    issueLevels[select.dataset.category] = select.value;
+  });
+
+  const badgeColors = {};
+  document.querySelectorAll("#badgeColors input[data-level]").forEach((input) => {
+    badgeColors[input.dataset.level] = input.value;
+  });
+
+  return {
+    settings: {
+      cdpVersion: document.getElementById("cdpVersion").value.trim() || DEFAULT_SETTINGS.cdpVersion,
+      enabledDomains: readChecks("enabledDomains"),
+      monitorChildTargets: document.getElementById("monitorChildTargets").checked,
+      autoAttachPatterns: document.getElementById("autoAttachPatterns").value
+        .split("\n").map((pattern) => pattern.trim()).filter(Boolean),
+      captureSources,
+      issueLevels,
+      countLevels: readChecks("countLevels"),
+      badgeColors,
+      badgeMode: document.getElementById("badgeMode").value,
+      consoleExpandDepth: Math.floor(consoleExpandDepth),
+      breadcrumbSources,
+      breadcrumbBufferSize: Math.floor(breadcrumbBufferSize),
+      breadcrumbsPerEntry: Math.floor(breadcrumbsPerEntry),
+      screenshotOnError: document.getElementById("screenshotOnError").checked,
+      screenshotInterval: Math.floor(screenshotInterval),
+      screenshotMaxKB: Math.floor(screenshotMaxKB),
+      maxScreenshots: Math.floor(maxScreenshots),
+      captureSourceSnippet: document.getElementById("captureSourceSnippet").checked,
+      sourceSnippetContext: Math.floor(sourceSnippetContext),
+      preserveLog: document.getElementById("preserveLog").checked,
+      maxPageSessions: Math.floor(maxPageSessions),
+      storageBudgetKB: Math.floor(storageBudgetKB),
+      historySize: Math.floor(historySize),
+      maxErrorGroups: Math.floor(maxErrorGroups),
+      networkErrorStatuses,
+      captureResponseBody: document.getElementById("captureResponseBody").checked,
+      captureRequestPostData: document.getElementById("captureRequestPostData").checked,
+      bodyMaxLength: Math.floor(bodyMaxLength),
+      responseBodyContentTypes: document.getElementById("responseBodyContentTypes").value
+        .split(",").map((type) => type.trim()).filter(Boolean),
+      collectorEnabled: document.getElementById("collectorEnabled").checked,
+      collectorUrl,
+      collectorHeaders,
+      collectorBatchSize: Math.floor(collectorBatchSize),
+      collectorFlushInterval: Math.floor(collectorFlushInterval),
+      collectorFormat: document.getElementById("collectorFormat").value,
+      nativeBridgeEnabled: document.getElementById("nativeBridgeEnabled").checked,
+      nativeHostName: document.getElementById("nativeHostName").value.trim()
+    },
+    error: null
+  };
+}
+
+/**
+ * 設定を読み込んで表示
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadSettings() {
+  const result = await chrome.storage.sync.get(["settings"]);
+  renderSettings(mergeSettings(result.settings));
+}
+
+/**
+ * 設定を保存
+ * 
+ * 保存された値はバックグラウンドが chrome.storage.onChanged で受け取って反映する。
+ * 
+ * @returns {Promise<void>}
+ */
+async function saveSettings() {
+  const { settings, error } = readSettings();
+  if (error) {
+    showStatus("settingsStatus", error, true);
+    return;
+  }
+  try {
+    const result = await chrome.storage.sync.get(["settings"]);
+    await chrome.storage.sync.set({ settings: { ...(result.settings || {}), ...settings } });
+    showStatus("settingsStatus", "保存しました");
+  } catch (e) {
+    console.error('設定の保存に失敗しました:', e);
+    showStatus("settingsStatus", "保存に失敗しました", true);
+  }
+}
+
+/**
+ * 設定をデフォルト値に戻す
+ * 
+ * @returns {Promise<void>}
+ */
+async function resetSettings() {
+  try {
+    await chrome.storage.sync.remove("settings");
+    renderSettings(mergeSettings());
+    showStatus("settingsStatus", "デフォルトに戻しました");
+  } catch (e) {
+    console.error('設定のリセットに失敗しました:', e);
+    showStatus("settingsStatus", "リセットに失敗しました", true);
+  }
+}
+
+// ====== プロンプトテンプレート ======
+
+// テンプレートごとに含めるかを選べる項目
+const TEMPLATE_INCLUDES = [
+  { value: "stack", label: "スタックトレース" },
+  { value: "network", label: "ネットワークの詳細" },
+  { value: "sourceSnippet", label: "ソースコード" },
+  { value: "breadcrumbs", label: "ブレッドクラム" }
+];
+
+/**
+ * テンプレート1件分のHTMLを生成
+ * 
+ * @param {Object} template - プロンプトのテンプレート
+ * @returns {string} HTML
+ */
+function createTemplateItem(template) {
+  const includes = TEMPLATE_INCLUDES.map(({ value, label }) => `
+    <label><input type="checkbox" name="include" value="${value}"${template.include?.[value] ? " checked" : ""}> ${label}</label>
+  `).join("");
+  return `
+    <div class="template" data-id="${escapeHtml(template.id)}">
+      <div class="row">
+        <input type="text" name="name" value="${escapeHtml(template.name)}" placeholder="テンプレート名">
+        <span class="checks">${includes}</span>
+        <button class="delete-template" title="削除">✕</button>
+      </div>
+      <textarea name="body">${escapeHtml(template.body)}</textarea>
+    </div>
+  `;
+}
+
+/**
+ * テンプレートの一覧を描画
+ * 
+ * @param {Array<Object>} templates - プロンプトのテンプレート
+ */
+function renderTemplates(templates) {
+  const listEl = document.getElementById("templateList");
+  if (listEl) {
+    listEl.innerHTML = templates.map(createTemplateItem).join("");
+  }
+}
+
+/**
+ * 画面の入力内容からテンプレートを読み取る
+ * 
+ * @returns {Array<Object>} プロンプトのテンプレート
+ */
+function readTemplates() {
+  return Array.from(document.querySelectorAll("#templateList .template")).map((item) => {
+    const include = {};
+    item.querySelectorAll('input[name="include"]').forEach((input) => {
+      include[input.value] = input.checked;
+    });
+    return {
+      id: item.dataset.id,
+      name: item.querySelector('[name="name"]').value.trim() || "(無題)",
+      body: item.querySelector('[name="body"]').value,
+      include
+    };
+  });
+}
+
+/**
+ * テンプレートを読み込んで表示
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadTemplates() {
+  const placeholderEl = document.getElementById("placeholderList");
+  if (placeholderEl) {
+    placeholderEl.innerHTML = Object.entries(PROMPT_PLACEHOLDERS)
+      .map(([key, label]) => `<li><code>{{${key}}}</code> ${escapeHtml(label)}</li>`).join("");
+  }
+  const result = await chrome.storage.sync.get(["promptTemplates"]);
+  renderTemplates(Array.isArray(result.promptTemplates) && result.promptTemplates.length > 0
+    ? result.promptTemplates
+    : DEFAULT_PROMPT_TEMPLATES);
+}
+
+/**
+ * テンプレートを保存
+ * 
+ * @returns {Promise<void>}
+ */
+async function saveTemplates() {
+  const templates = readTemplates();
+  if (templates.length === 0) {
+    showStatus("templatesStatus", "テンプレートを1件以上登録してください", true);
+    return;
+  }
+  try {
+    await chrome.storage.sync.set({ promptTemplates: templates });
+    showStatus("templatesStatus", "保存しました");
+  } catch (error) {
+    console.error('テンプレートの保存に失敗しました:', error);
+    showStatus("templatesStatus", "保存に失敗しました（容量を超えている可能性があります）", true);
+  }
+}
+
+/**
+ * テンプレートをデフォルトに戻す
+ * 
+ * @returns {Promise<void>}
+ */
+async function resetTemplates() {
+  try {
+    await chrome.storage.sync.remove("promptTemplates");
+    renderTemplates(DEFAULT_PROMPT_TEMPLATES);
+    showStatus("templatesStatus", "デフォルトに戻しました");
+  } catch (error) {
+    console.error('テンプレートのリセットに失敗しました:', error);
+    showStatus("templatesStatus", "リセットに失敗しました", true);
+  }
+}
+
+// ====== 無視ルール ======
+
+/**
+ * 無視ルールの1行分のHTMLを生成
+ * 
+ * @param {Object} rule - 無視ルール
+ * @returns {string} tr要素のHTML
+ */
+function createRuleRow(rule) {
+  const levels = RULE_LEVELS.map((level) =>
+    `<option value="${level}"${level === (rule.level || "") ? " selected" : ""}>${level || "（任意）"}</option>`).join("");
+  const actions = RULE_ACTIONS.map(({ value, label }) =>
+    `<option value="${value}"${value === (rule.action || "drop") ? " selected" : ""}>${label}</option>`).join("");
+  return `
+    <tr data-id="${escapeHtml(rule.id)}">
+      <td><input type="checkbox" name="enabled"${rule.enabled !== false ? " checked" : ""}></td>
+      <td><input type="text" name="source" list="ruleSources" value="${escapeHtml(rule.source)}" placeholder="（任意）"></td>
+      <td><select name="level">${levels}</select></td>
+      <td><input type="text" name="textPattern" value="${escapeHtml(rule.textPattern)}" placeholder="例: ResizeObserver loop"></td>
+      <td><input type="text" name="urlGlob" value="${escapeHtml(rule.urlGlob)}" placeholder="例: chrome-extension://*"></td>
+      <td><select name="action">${actions}</select></td>
+      <td><button class="delete-rule" title="削除">✕</button></td>
+    </tr>
+  `;
+}
+
+/**
+ * 無視ルールの一覧を描画
+ * 
+ * @param {Array<Object>} rules - 無視ルール
+ */
+function renderRules(rules) {
+  const rowsEl = document.getElementById("ruleRows");
+  if (!rowsEl) return;
+  rowsEl.innerHTML = rules.map(createRuleRow).join("") +
+    `<datalist id="ruleSources">${RULE_SOURCES.map((source) => `<option value="${source}">`).join("")}</datalist>`;
+}
+
+/**
+ * 画面の入力内容から無視ルールを読み取る
+ * 
+ * 正規表現が不正な入力欄には invalid クラスを付ける。
+ * 
+ * @returns {{rules: Array<Object>, valid: boolean}} ルールと入力が正しいか
+ */
+function readRules() {
+  let valid = true;
+  const rules = Array.from(document.querySelectorAll("#ruleRows tr")).map((row) => {
+    const field = (name) => row.querySelector(`[name="${name}"]`);
+    const textInput = field("textPattern");
+    try {
+      new RegExp(textInput.value);
+      textInput.classList.remove("invalid");
+    } catch {
+      textInput.classList.add("invalid");
+      valid = false;
+    }
+    return {
+      id: row.dataset.id,
+      enabled: field("enabled").checked,
+      source: field("source").value.trim(),
+      level: field("level").value,
+      textPattern: textInput.value,
+      urlGlob: field("urlGlob").value.trim(),
+      action: field("action").value
+    };
+  });
+  return { rules, valid };
+}
+
+/**
+ * 無視ルールを読み込んで表示
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadRules() {
+  const result = await chrome.storage.local.get(["ignoreRules"]);
+  renderRules(result.ignoreRules || []);
+}
+
+/**
+ * 無視ルールを保存
+ * 
+ * @returns {Promise<void>}
+ */
+async function saveRules() {
+  const { rules, valid } = readRules();
+  if (!valid) {
+    showStatus("rulesStatus", "正規表現が正しくないルールがあります", true);
+    return;
+  }
+  try {
+    await chrome.storage.local.set({ ignoreRules: rules });
+    showStatus("rulesStatus", "保存しました");
+  } catch (error) {
+    console.error('無視ルールの保存に失敗しました:', error);
+    showStatus("rulesStatus", "保存に失敗しました", true);
+  }
+}
+
+// ====== イベントリスナー設定 ======
+
+// ルール追加ボタン（入力中の内容を保持したまま行を追加）
+document.getElementById("addRuleButton")?.addEventListener("click", () => {
+  const { rules } = readRules();
+  renderRules([...rules, { id: crypto.randomUUID(), enabled: true, source: "", level: "", textPattern: "", urlGlob: "", action: "drop" }]);
+});
+
+// ルール削除ボタン
+document.getElementById("ruleRows")?.addEventListener("click", (event) => {
+  if (event.target.closest(".delete-rule")) {
+    event.target.closest("tr")?.remove();
+  }
+});
+
+// 保存ボタン
+document.getElementById("saveRulesButton")?.addEventListener("click", saveRules);
+
+// 設定の保存・リセットボタン
+document.getElementById("saveSettingsButton")?.addEventListener("click", saveSettings);
+document.getElementById("resetSettingsButton")?.addEventListener("click", resetSettings);
+
+// テンプレートの追加・削除・保存・リセット
+document.getElementById("addTemplateButton")?.addEventListener("click", () => {
+  renderTemplates([...readTemplates(), {
+    id: crypto.randomUUID(),
+    name: "新しいテンプレート",
+    body: "{{log}}",
+    include: { stack: true, network: true, sourceSnippet: true, breadcrumbs: true }
+  }]);
+});
+document.getElementById("templateList")?.addEventListener("click", (event) => {
+  if (event.target.closest(".delete-template")) {
+    event.target.closest(".template")?.remove();
+  }
+});
+document.getElementById("saveTemplatesButton")?.addEventListener("click", saveTemplates);
+document.getElementById("resetTemplatesButton")?.addEventListener("click", resetTemplates);
+
+// ====== 初期化処理 ======
+loadSettings();
+loadTemplates();
+loadRules();
@@ -9,48 +9,68 @@
  */
 let currentState = { tabId: null, attached: false, newErrorInfo: null };
 
-// プロンプトエリアの参照
-const promptArea = document.getElementById("promptArea");
+/**
+ * 現在表示しているタブのエラー履歴（古い順）
+ * 
+ * @type {Array<Object>}
+ */
+let errorHistory = [];
 
-// DOM要素の存在確認
-if (!promptArea) {
-  console.error('promptArea element not found');
-}
+/**
+ * 現在表示しているタブのエラーグループ（最終発生の新しい順）
+ * 
+ * @type {Array<Object>}
+ */
+let errorGroups = [];
 
-// ====== ユーティリティ関数 ======
+/**
+ * 表示中のページセッションID（nullの場合は現在のページ）
+ * 
+ * @type {string|null}
+ */
+let selectedPageSessionId = null;
 
 /**
- * タイムスタンプをローカル時間形式に変換
+ * 履歴リストの表示モード（"history": 発生順, "groups": 同じエラーを集約）
+ * 
+ * @type {string}
  */
-function formatTimestamp(ts) {
-  try { return new Date(ts).toLocaleString(); } catch { return String(ts); }
-}
+let historyView = "history";
 
 /**
- * ログレベルのピル（バッジ）を生成
+ * 履歴リストの絞り込み（"all", "exception", "promise", "class:エラーのクラス", "realm:発生したフレーム"）
+ * 
+ * @type {string}
  */
-function createLevelBadge(level) {
-  const lv = (level || "info").toLowerCase();
-  return `<span class="pill ${lv}">${lv}</span>`;
-}
+let historyFilter = "all";
 
 /**
- * HTMLエスケープ処理
+ * 履歴リストで選択中の項目のID（履歴はエントリID、集約はフィンガープリント。nullの場合は未選択）
+ * 
+ * @type {string|null}
  */
-function escapeHtml(s) {
-  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-}
+let selectedEntryId = null;
 
 /**
- * ログをテキスト形式にフォーマット
+ * AIプロンプトのテンプレート（settings.js の DEFAULT_PROMPT_TEMPLATES を保存値で置き換え）
+ * 
+ * @type {Array<Object>}
  */
-function formatLog(log) {
-  const head = `[${(log.level || "info").toUpperCase()}][${log.source || "log"}] ${log.text || "(no message)"}`;
-  const meta = [log.url, log.line != null ? `L${log.line}` : "", log.ts ? new Date(log.ts).toISOString() : ""]
-    .filter(Boolean).join(" | ");
-  const metaLine = meta ? `\nmeta: ${meta}` : "";
-  const stack = log.stack ? `\nstack: ${String(log.stack)}` : "";
-  return `${head}${metaLine}${stack}`;
+let promptTemplates = DEFAULT_PROMPT_TEMPLATES;
+
+/**
+ * 選択中のテンプレートID
+ * 
+ * @type {string}
+ */
+let selectedPromptTemplateId = DEFAULT_PROMPT_TEMPLATES[0].id;
+
+// プロンプトエリアの参照
+const promptArea = document.getElementById("promptArea");
+
+// DOM要素の存在確認
+if (!promptArea) {
+  console.error('promptArea element not found');
 }
 
 // ====== 通信処理 ======
@@ -59,21 +79,42 @@ function formatLog(log) {
  * background scriptにメッセージを送信
  * 
  * @param {string} type - メッセージタイプ
+ * @param {Object} [payload] - メッセージに含める追加の値
  * @returns {Promise<Object>} レスポンス
  */
-function send(type) {
+function send(type, payload = {}) {
   return new Promise((resolve) => {
-    chrome.runtime.sendMessage({ type }, (res) => resolve(res));
+    chrome.runtime.sendMessage({ type, ...payload }, (res) => resolve(res));
   });
 }
 
 /**
- * 現在のデバッグ状態を取得
+ * エラー履歴を取得
  * 
- * @returns {Promise<Object>} デバッグ状態
+ * @returns {Promise<Object>} デバッグ状態とエラー履歴（history）
  */
-async function getDebugState() {
-  return await send("GET_DEBUG_STATE");
+async function getErrorHistory() {
+  return await send("GET_ERROR_HISTORY");
+}
+
+/**
+ * 過去のページセッションのエラー履歴を取得
+ * 
+ * @param {string} sessionId - ページセッションID
+ * @returns {Promise<Object>} デバッグ状態とページセッションのエラー履歴（history）
+ */
+async function getPageSession(sessionId) {
+  return await send("GET_PAGE_SESSION", { sessionId });
+}
+
+/**
+ * エクスポート用に記録済みのエントリを取得
+ * 
+ * @param {boolean} allTabs - 全タブを対象にするか
+ * @returns {Promise<Object>} エクスポート用データ（data）
+ */
+async function getExportData(allTabs) {
+  return await send("EXPORT_ERRORS", { allTabs });
 }
 
 /**
@@ -94,15 +135,6 @@ async function detachDebugger() {
   return await send("DETACH_DEBUGGER");
 }
 
-/**
- * デバッグモードを切り替え
- * 
- * @returns {Promise<Object>} 切り替え結果
- */
-async function toggleDebugMode() {
-  return await send("TOGGLE_DEBUG_MODE");
-}
-
 // ====== UI更新処理 ======
 
 /**
@@ -171,7 +203,7 @@ function showNoErrorState() {
   
   // promptAreaもクリア
   if (promptArea) {
-    promptArea.value = "以下の、エラーを解析してほしい";
+    promptArea.value = renderPromptTemplate(getSelectedPromptTemplate(), null);
   }
 }
 
@@ -185,20 +217,70 @@ function showErrorDetails(log) {
   if (!newErrorInfoEl) return;
 
   const src = log.source || "";
-  const meta = [log.url, log.line != null ? `L${log.line}` : "", formatTimestamp(log.ts)]
+  const meta = [log.url ? formatPosition(log) : "", formatTimestamp(log.ts)]
     .filter(Boolean).join(" | ");
+  const stackText = formatStack(log.stack);
+  const networkText = formatNetwork(log.network);
+  const snippetText = formatSourceSnippet(log.sourceSnippet);
+  const argsText = formatExpandedArgs(log.consoleArgs);
 
   newErrorInfoEl.innerHTML = `
     <div class="log">
       <div class="head">
-        ${createLevelBadge(log.level)}
+        ${createLevelBadge(log.level)}${createKindBadges(log)}
         <div>${escapeHtml(src)}</div>
         <div class="src">${escapeHtml(meta)}</div>
       </div>
       <div class="msg">${escapeHtml(log.text || "(no message)")}</div>
-      ${log.stack ? `<details><summary>stack</summary><pre>${escapeHtml(String(log.stack))}</pre></details>` : ""}
+      ${argsText ? `<details><summary>args</summary><pre>${escapeHtml(argsText)}</pre></details>` : ""}
+      ${networkText ? `<details open><summary>network</summary><pre>${escapeHtml(networkText)}</pre></details>` : ""}
+      ${stackText ? `<details><summary>stack</summary><pre>${escapeHtml(stackText)}</pre></details>` : ""}
+      ${snippetText ? `<details open><summary>source</summary><pre class="snippet">${escapeHtml(snippetText)}</pre></details>` : ""}
+      ${renderBreadcrumbTimeline(log)}
+      ${log.screenshot ? `<details open><summary>screenshot</summary><img class="screenshot" alt="" title="クリックで拡大/縮小"></details>` : ""}
     </div>
   `;
+  if (log.screenshot) {
+    loadScreenshotThumbnail(log.id, newErrorInfoEl.querySelector("img.screenshot"));
+  }
+}
+
+/**
+ * エラーまでのブレッドクラムをタイムラインとして描画
+ * 
+ * @param {Object} log - エラー情報
+ * @returns {string} HTML（ブレッドクラムがない場合は空文字）
+ */
+function renderBreadcrumbTimeline(log) {
+  const breadcrumbs = log.breadcrumbs || [];
+  if (breadcrumbs.length === 0) return "";
+  const items = breadcrumbs.map((crumb) => `
+    <li title="${escapeHtml(formatTimestamp(crumb.ts))}">
+      <span class="crumb-time">${escapeHtml(formatBreadcrumbOffset(crumb, log.ts))}</span>
+      <span class="pill crumb">${escapeHtml(crumb.category)}</span>
+      <span class="crumb-message">${escapeHtml(crumb.message)}</span>
+    </li>
+  `).join("");
+  return `<details><summary>breadcrumbs (${breadcrumbs.length})</summary><ol class="breadcrumbs">${items}</ol></details>`;
+}
+
+/**
+ * エラーの発生時のスクリーンショットを読み込んで表示
+ * 
+ * 読み込みの間に別のエラーが表示された場合は何もしない。
+ * 
+ * @param {string} entryId - エントリID
+ * @param {HTMLImageElement} imgEl - 表示先の画像要素
+ */
+async function loadScreenshotThumbnail(entryId, imgEl) {
+  const res = await send("GET_SCREENSHOT", { entryId });
+  if (!imgEl.isConnected) return;
+  if (!res?.ok) {
+    imgEl.closest("details").hidden = true;
+    return;
+  }
+  imgEl.src = res.dataUrl;
+  imgEl.addEventListener("click", () => imgEl.classList.toggle("expanded"));
 }
 
 /**
@@ -208,7 +290,7 @@ function showErrorDetails(log) {
  */
 function updatePromptArea(log) {
   if (promptArea) {
-    promptArea.value = `以下の、エラーを解析してほしい\n\n${formatLog(log)}`;
+    promptArea.value = renderPromptTemplate(getSelectedPromptTemplate(), log);
   }
 }
 
@@ -222,20 +304,282 @@ function showErrorState() {
   }
 }
 
+/**
+ * エラー履歴とエラーグループを保持し、リストを描画
+ * 
+ * @param {Array<Object>} history - エラー履歴（古い順）
+ * @param {Array<Object>} groups - エラーグループ（最終発生の新しい順）
+ */
+function renderErrorHistory(history, groups) {
+  errorHistory = history || [];
+  errorGroups = groups || [];
+  renderHistoryFilter();
+  renderHistoryList();
+}
+
+/**
+ * 絞り込みの選択肢を、履歴に含まれるエラーのクラスと発生したフレームから作成して描画
+ */
+function renderHistoryFilter() {
+  const selectEl = document.getElementById("historyFilter");
+  if (!selectEl) return;
+
+  const entries = [...errorHistory, ...errorGroups.map((group) => group.sample)].filter(Boolean);
+  const classes = new Set(entries.filter((e) => e.source === "exception" && e.errorClass).map((e) => e.errorClass));
+  const realms = new Set(entries.map((e) => e.realm).filter((realm) => realm && realm !== "main"));
+  const options = [
+    { value: "all", label: "すべての種類" },
+    { value: "exception", label: "例外のみ" },
+    { value: "promise", label: "未処理のPromise拒否" },
+    ...Array.from(classes).sort().map((errorClass) => ({ value: `class:${errorClass}`, label: errorClass })),
+    ...Array.from(realms).sort().map((realm) => ({ value: `realm:${realm}`, label: `${realm} で発生` }))
+  ];
+  if (!options.some((option) => option.value === historyFilter)) {
+    historyFilter = "all";
+  }
+  selectEl.innerHTML = options.map((option) =>
+    `<option value="${escapeHtml(option.value)}"${option.value === historyFilter ? " selected" : ""}>${escapeHtml(option.label)}</option>`
+  ).join("");
+}
+
+/**
+ * エラー情報が絞り込みの条件に一致するか
+ * 
+ * @param {Object|undefined} entry - エラー情報
+ * @returns {boolean} 一致するか
+ */
+function matchesHistoryFilter(entry) {
+  if (!entry) return false;
+  if (historyFilter === "all") return true;
+  if (historyFilter === "exception") return entry.source === "exception";
+  if (historyFilter === "promise") return !!entry.promiseRejection;
+  const separator = historyFilter.indexOf(":");
+  const key = historyFilter.slice(0, separator);
+  const value = historyFilter.slice(separator + 1);
+  if (key === "class") return entry.source === "exception" && entry.errorClass === value;
+  if (key === "realm") return entry.realm === value;
+  return true;
+}
+
+/**
+ * 表示モードに応じて履歴リストを描画
+ * 
+ * 履歴は新しいエントリが上に来るように逆順で、集約は発生回数と最初/最後の発生時刻を付けて表示します。
+ */
+function renderHistoryList() {
+  const historyEl = document.getElementById("errorHistory");
+  if (!historyEl) return;
+
+  // 選択中の項目がリストから消えた場合は選択を解除
+  if (!getSelectedEntry()) {
+    selectedEntryId = null;
+  }
+
+  const emptyMessage = historyFilter === "all" ? "履歴はありません" : "条件に一致する履歴はありません";
+  if (historyView === "groups") {
+    const groups = errorGroups.filter((group) => matchesHistoryFilter(group.sample));
+    historyEl.innerHTML = groups.length === 0
+      ? `<li class="empty">${emptyMessage}</li>`
+      : groups.map((group) => `
+      <li class="history-item${group.fingerprint === selectedEntryId ? " selected" : ""}" data-id="${escapeHtml(group.fingerprint)}"
+          title="${escapeHtml(`初回: ${formatTimestamp(group.firstSeen)} / 最終: ${formatTimestamp(group.lastSeen)}`)}">
+        ${createLevelBadge(group.level)}${createKindBadges(group.sample || {})}
+        <span class="history-text">${escapeHtml(group.text || "(no message)")}</span>
+        <span class="history-count">×${group.count}</span>
+        <span class="history-time">${escapeHtml(formatTimestamp(group.lastSeen))}</span>
+      </li>
+    `).join("");
+  } else {
+    const history = errorHistory.filter(matchesHistoryFilter);
+    historyEl.innerHTML = history.length === 0
+      ? `<li class="empty">${emptyMessage}</li>`
+      : history.slice().reverse().map((entry) => `
+      <li class="history-item${entry.id === selectedEntryId ? " selected" : ""}${entry.ignored ? " ignored" : ""}" data-id="${escapeHtml(entry.id || "")}"
+          ${entry.ignored ? 'title="無視ルールに一致（カウント対象外）"' : ""}>
+        ${createLevelBadge(entry.level)}${createKindBadges(entry)}
+        <span class="history-text">${escapeHtml(entry.text || "(no message)")}</span>
+        <span class="history-time">${escapeHtml(formatTimestamp(entry.ts))}</span>
+      </li>
+    `).join("");
+  }
+
+  document.querySelectorAll(".view-tab").forEach((el) => {
+    el.classList.toggle("active", el.dataset.view === historyView);
+  });
+  updateInsertButton();
+}
+
+/**
+ * 履歴リストの表示モードを切り替え
+ * 
+ * @param {string} view - "history" または "groups"
+ */
+function setHistoryView(view) {
+  if (view === historyView) return;
+  historyView = view;
+  selectedEntryId = null;
+  renderHistoryList();
+}
+
+/**
+ * 選択中の項目のエラー情報を取得（集約の場合はグループの最新のエントリ）
+ * 
+ * @returns {Object|null} エラー情報
+ */
+function getSelectedEntry() {
+  if (selectedEntryId == null) return null;
+  if (historyView === "groups") {
+    return errorGroups.find((g) => g.fingerprint === selectedEntryId)?.sample || null;
+  }
+  return errorHistory.find((e) => e.id === selectedEntryId) || null;
+}
+
+/**
+ * 履歴リストの項目を選択し、詳細を表示
+ * 
+ * @param {string} entryId - エントリIDまたはフィンガープリント
+ */
+function selectHistoryEntry(entryId) {
+  selectedEntryId = entryId;
+  const entry = getSelectedEntry();
+  if (!entry) {
+    selectedEntryId = null;
+    return;
+  }
+
+  document.querySelectorAll("#errorHistory .history-item").forEach((el) => {
+    el.classList.toggle("selected", el.dataset.id === entryId);
+  });
+  showErrorDetails(entry);
+  updateInsertButton();
+}
+
+/**
+ * 挿入ボタンの有効/無効を選択状態に合わせる
+ */
+function updateInsertButton() {
+  const insertButton = document.getElementById("insertHistoryButton");
+  if (insertButton) {
+    insertButton.disabled = selectedEntryId == null;
+  }
+}
+
+/**
+ * ページセッションの選択肢を描画
+ * 
+ * @param {Array<Object>} sessions - ページセッションの一覧（新しい順、先頭が現在のページ）
+ * @param {string|null} sessionId - 表示中のページセッションID
+ */
+function renderPageSessions(sessions, sessionId) {
+  const selectEl = document.getElementById("pageSessionSelect");
+  if (!selectEl) return;
+  selectEl.innerHTML = (sessions || []).map((session) => {
+    const label = `${session.current ? "現在のページ" : formatTimestamp(session.startedAt)}: ${session.url || "(不明なURL)"}（${session.errorCount}件）`;
+    return `<option value="${escapeHtml(session.id)}"${session.id === sessionId ? " selected" : ""}>${escapeHtml(label)}</option>`;
+  }).join("");
+  selectEl.disabled = !sessions || sessions.length <= 1;
+}
+
+/**
+ * 記録の状態（アタッチ状態）と切り替えボタンを描画
+ * 
+ * ポップアップを開いただけではアタッチ状態を変えず、ボタンで明示的に切り替える。
+ * 意図せずデタッチされていた場合は、その理由と時刻も表示する。
+ * 
+ * @param {Object|null} state - デバッグ状態
+ * @param {string} [error] - 切り替えに失敗した場合のエラーメッセージ
+ */
+function renderCaptureControls(state, error) {
+  const statusEl = document.getElementById("captureStatus");
+  const buttonEl = document.getElementById("captureButton");
+  if (!statusEl || !buttonEl) return;
+
+  const available = state?.tabId != null;
+  const attached = !!state?.attached;
+  statusEl.classList.toggle("attached", attached);
+  const reason = !attached ? formatDetachReason(state?.detachReason) : "";
+  statusEl.textContent = error
+    ? `切り替えに失敗しました: ${error}`
+    : !available ? "タブがありません" : attached ? "● 記録中（デバッガーをアタッチ中）" : reason ? `○ 停止中: ${reason}` : "○ 停止中";
+  buttonEl.disabled = !available;
+  buttonEl.textContent = attached ? "記録を停止" : "記録を開始";
+}
+
 /**
  * ポップアップの状態を更新
  * 
- * 現在のデバッグ状態を取得し、UIを更新します。
+ * 現在のデバッグ状態と、表示中のページセッションのエラー履歴を取得し、UIを更新します。
  * 
  * @returns {Promise<void>}
  */
 async function updatePopupState() {
   try {
-    const state = await getDebugState();
+    const state = selectedPageSessionId
+      ? await getPageSession(selectedPageSessionId)
+      : await getErrorHistory();
     updateUI(state);
+    renderCaptureControls(state);
+    renderPageSessions(state?.pageSessions, state?.pageSessionId);
+    renderErrorHistory(state?.history, state?.groups);
   } catch (error) {
     console.error('状態の取得に失敗しました:', error);
     updateUI({ tabId: null, attached: false, newErrorInfo: null });
+    renderCaptureControls(null);
+    renderErrorHistory([], []);
+  }
+}
+
+// ====== プロンプトテンプレート ======
+
+/**
+ * 選択中のテンプレートを取得（見つからない場合は先頭のテンプレート）
+ * 
+ * @returns {Object} プロンプトのテンプレート
+ */
+function getSelectedPromptTemplate() {
+  return promptTemplates.find((t) => t.id === selectedPromptTemplateId) || promptTemplates[0] || DEFAULT_PROMPT_TEMPLATES[0];
+}
+
+/**
+ * テンプレートと選択状態をChromeストレージから読み込み、選択肢を描画
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadPromptTemplates() {
+  try {
+    const result = await chrome.storage.sync.get(["promptTemplates", "selectedPromptTemplateId"]);
+    if (Array.isArray(result.promptTemplates) && result.promptTemplates.length > 0) {
+      promptTemplates = result.promptTemplates;
+    }
+    if (result.selectedPromptTemplateId) {
+      selectedPromptTemplateId = result.selectedPromptTemplateId;
+    }
+  } catch (error) {
+    console.error('テンプレートの読み込みに失敗しました:', error);
+  }
+
+  const selectEl = document.getElementById("promptTemplateSelect");
+  if (selectEl) {
+    selectEl.innerHTML = promptTemplates.map((t) =>
+      `<option value="${escapeHtml(t.id)}"${t.id === getSelectedPromptTemplate().id ? " selected" : ""}>${escapeHtml(t.name)}</option>`
+    ).join("");
+  }
+}
+
+/**
+ * テンプレートを切り替えてプロンプトエリアを作り直す
+ * 
+ * @param {string} templateId - テンプレートID
+ * @returns {Promise<void>}
+ */
+async function selectPromptTemplate(templateId) {
+  selectedPromptTemplateId = templateId;
+  await chrome.storage.sync.set({ selectedPromptTemplateId: templateId });
+  const entry = getSelectedEntry() || currentState.newErrorInfo;
+  if (entry) {
+    updatePromptArea(entry);
+  } else {
+    showNoErrorState();
   }
 }
 
@@ -271,37 +615,6 @@ function appendToEditor(text) {
   promptArea.value = cur + (cur.endsWith("\n") ? "" : "\n") + text + "\n";
 }
 
-/**
- * デバッグモードを切り替え、ポップアップの状態を更新する
- * 
- * この関数は以下の処理を順次実行します：
- * 1. デバッグモードを切り替え
- * 2. 最新の状態を取得
- * 3. UIを更新
- * 
- * @returns {Promise<void>}
- * 
- * @example
- * // ポップアップが開かれた時に自動実行される
- * handleDebugModeToggle();
- * 
- * @example
- * // 手動でデバッグモードを切り替えたい場合
- * await handleDebugModeToggle();
- */
-async function handleDebugModeToggle() {
-  try {
-    const result = await toggleDebugMode();
-    
-    // 最新の状態を取得してUIを更新
-    await updatePopupState();
-  } catch (error) {
-    console.error('デバッグモードの切り替えに失敗しました:', error);
-    // エラー時は現在の状態を表示
-    await updatePopupState();
-  }
-}
-
 // ====== イベントリスナー設定 ======
 
 // コピーアイコンのクリックイベント
@@ -314,6 +627,101 @@ if (copyIcon) {
   });
 }
 
+// 履歴エントリのクリックイベント（選択）
+const historyEl = document.getElementById("errorHistory");
+if (historyEl) {
+  historyEl.addEventListener("click", (event) => {
+    const item = event.target.closest(".history-item[data-id]");
+    if (item) {
+      selectHistoryEntry(item.dataset.id);
+    }
+  });
+}
+
+// 記録の開始/停止ボタンのクリックイベント（デバッガーのアタッチ/デタッチ）
+const captureButton = document.getElementById("captureButton");
+if (captureButton) {
+  captureButton.addEventListener("click", async () => {
+    captureButton.disabled = true;
+    const res = currentState.attached ? await detachDebugger() : await attachDebugger();
+    await updatePopupState();
+    if (res?.error) {
+      renderCaptureControls(res, res.error);
+    }
+  });
+}
+
+// 設定ボタンのクリックイベント（設定ページを開く）
+const openOptionsButton = document.getElementById("openOptionsButton");
+if (openOptionsButton) {
+  openOptionsButton.addEventListener("click", () => chrome.runtime.openOptionsPage());
+}
+
+// 一覧ボタンのクリックイベント（全タブのダッシュボードを開く）
+const openDashboardButton = document.getElementById("openDashboardButton");
+if (openDashboardButton) {
+  openDashboardButton.addEventListener("click", () => chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") }));
+}
+
+// ページセッションの切り替え（現在のページを選んだ場合は最新の状態に追従）
+const pageSessionSelect = document.getElementById("pageSessionSelect");
+if (pageSessionSelect) {
+  pageSessionSelect.addEventListener("change", async () => {
+    const selected = pageSessionSelect.selectedIndex;
+    selectedPageSessionId = selected > 0 ? pageSessionSelect.value : null;
+    selectedEntryId = null;
+    await updatePopupState();
+  });
+}
+
+// テンプレートの切り替え
+const promptTemplateSelect = document.getElementById("promptTemplateSelect");
+if (promptTemplateSelect) {
+  promptTemplateSelect.addEventListener("change", () => selectPromptTemplate(promptTemplateSelect.value));
+}
+
+// 絞り込みの切り替え
+const historyFilterSelect = document.getElementById("historyFilter");
+if (historyFilterSelect) {
+  historyFilterSelect.addEventListener("change", () => {
+    historyFilter = historyFilterSelect.value;
+    renderHistoryList();
+  });
+}
+
+// 表示モード切り替えボタンのクリックイベント
+document.querySelectorAll(".view-tab").forEach((el) => {
+  el.addEventListener("click", () => setHistoryView(el.dataset.view));
+});
+
+// 挿入ボタンのクリックイベント（選択中のエラーをプロンプトエリアに追記）
+const insertHistoryButton = document.getElementById("insertHistoryButton");
+if (insertHistoryButton) {
+  insertHistoryButton.addEventListener("click", () => {
+    const entry = getSelectedEntry();
+    if (entry) {
+      appendToEditor(formatLog(entry, getSelectedPromptTemplate().include));
+    }
+  });
+}
+
+// エクスポートボタンのクリックイベント
+const exportButton = document.getElementById("exportButton");
+if (exportButton) {
+  exportButton.addEventListener("click", async () => {
+    const format = document.getElementById("exportFormat")?.value || "json";
+    const allTabs = !!document.getElementById("exportAllTabs")?.checked;
+    try {
+      const res = await getExportData(allTabs);
+      if (!res?.ok) throw new Error(res?.error || "エクスポート用データを取得できませんでした");
+      downloadExport(res.data, format);
+    } catch (error) {
+      console.error('エクスポートに失敗しました:', error);
+      alert("エクスポートに失敗しました");
+    }
+  });
+}
+
 // ポップアップの表示/非表示に合わせてエラーカウントを制御
 window.addEventListener('focus', async () => {
   // エラーカウントを表示
@@ -332,4 +740,5 @@ window.addEventListener('beforeunload', async () => {
 });
 
 // ====== 初期化処理 ======
-handleDebugModeToggle();
+// 開いただけではアタッチ状態を変えずに、現在の状態を表示する
+loadPromptTemplates().then(updatePopupState);
@@ -0,0 +1,136 @@
+// ====== 設定のデフォルト値 ======
+// background.js（importScripts）と options.js（scriptタグ）の両方から読み込む
+
+/**
+ * 有効/無効を切り替えられるCDPドメイン
+ */
+const CDP_DOMAINS = ["Runtime", "Console", "Log", "Network", "Debugger", "Page", "Audits"];
+
+/**
+ * ブラウザのIssue（Audits.issueAdded）の分類
+ * 設定の issueLevels で分類ごとに記録するレベルを決める
+ */
+const ISSUE_CATEGORIES = ["csp", "mixedContent", "cookie", "cors", "deprecation", "other"];
+
+/**
+ * 重大度の高い順に並べたログレベル
+ */
+const SEVERITY_LEVELS = ["error", "warning", "info", "verbose"];
+
+/**
+ * 設定のデフォルト値
+ * chrome.storage.sync の "settings" に保存された値で上書きされる
+ */
+const DEFAULT_SETTINGS = {
+  cdpVersion: "1.3", // chrome.debugger.attach に渡すCDPのバージョン
+  enabledDomains: CDP_DOMAINS.filter((d) => d !== "Audits"), // アタッチ時に有効化するCDPドメイン（Audits は任意）
+  monitorChildTargets: true, // iframe・ワーカー・Service Worker も監視するか（Target.setAutoAttach）
+  autoAttachPatterns: [], // 自動でアタッチするURLのグロブ（* と ? が使える）
+  captureSources: { exception: true, console: true, log: true, network: true, issue: true }, // 記録するイベントの種類
+  issueLevels: { csp: "error", mixedContent: "error", cookie: "warning", cors: "error", deprecation: "warning", other: "warning" }, // Issueの分類ごとに記録するレベル（空文字は記録しない）
+  breadcrumbSources: { navigation: true, network: true, console: true, interaction: false }, // ブレッドクラムに残す出来事（console が有効な場合、コンソールの info/log はエントリにしない）
+  breadcrumbBufferSize: 100, // タブごとに保持するブレッドクラムの最大数
+  breadcrumbsPerEntry: 20, // エントリに添付する直近のブレッドクラムの数（0で添付しない）
+  countLevels: ["error"], // バッジのカウント対象にするレベル
+  badgeColors: { error: "#dd0000", warning: "#f2a100", info: "#666666", verbose: "#999999" }, // バッジの色（最も重大なレベルの色を使う）
+  preserveLog: false, // ページ遷移をまたいで記録を続けるか（falseの場合はページの読み込みごとに分ける）
+  maxPageSessions: 10, // タブごとに保持する過去のページの最大数
+  storageBudgetKB: 4096, // chrome.storage.local に保存するタブの状態の合計サイズの上限（KB）。超える場合は古い記録から削る
+  historySize: 50, // タブごとに保持するエラー履歴の最大件数
+  networkErrorStatuses: [{ min: 400, max: 599 }], // エラーとして記録するHTTPステータスの範囲
+  captureResponseBody: true, // 失敗したXHR/Fetchのレスポンスボディを記録するか
+  captureRequestPostData: false, // 失敗したXHR/Fetchのリクエストボディを記録するか
+  bodyMaxLength: 10000, // 記録するボディの最大文字数
+  responseBodyContentTypes: ["application/json", "application/problem+json", "application/xml", "text/"], // 記録するContent-Type（前方一致）
+  consoleExpandDepth: 0, // コンソールの引数のオブジェクトを展開する深さ（0の場合は preview の表示だけ）
+  screenshotOnError: false, // エラーグループの初回発生時にページのスクリーンショットを撮るか
+  screenshotInterval: 10, // 同じタブで撮影する最短の間隔（秒）
+  screenshotMaxKB: 300, // 1枚のサイズの上限（KB）。超える場合は画質と解像度を下げて撮り直す
+  maxScreenshots: 50, // 保存するスクリーンショットの最大数（超えた分は古い順に削除）
+  captureSourceSnippet: true, // 失敗した行の周辺のソースコードを記録するか
+  sourceSnippetContext: 5, // 失敗した行の前後に含める行数
+  collectorEnabled: false, // 記録したエントリを外部のコレクターに転送するか
+  collectorUrl: "", // 転送先のURL
+  collectorHeaders: {}, // 転送時に付けるHTTPヘッダー
+  collectorBatchSize: 20, // まとめて送信する最大件数
+  collectorFlushInterval: 5, // 送信間隔（秒）
+  collectorFormat: "json", // 送信形式（"json": 独自のJSON, "sentry": Sentry互換のエンベロープ）
+  nativeBridgeEnabled: false, // ネイティブメッセージングホストにエントリを流すか
+  nativeHostName: "com.error_notifier.bridge", // ネイティブメッセージングホストの名前
+  badgeMode: "total", // バッジに表示する数（"total": 発生回数の合計, "unique": 種類数）
+  maxErrorGroups: 200 // タブごとに保持するエラーグループの最大数
+};
+
+/**
+ * 保存された設定をデフォルト値とマージ
+ * 
+ * オブジェクト型の設定（captureSources, issueLevels, breadcrumbSources, badgeColors）は項目ごとにマージし、
+ * 後から追加された項目もデフォルト値で補う。
+ * 
+ * @param {Object|undefined} saved - chrome.storage.sync に保存された設定
+ * @returns {Object} 有効な設定
+ */
+function mergeSettings(saved) {
+  const merged = { ...DEFAULT_SETTINGS, ...(saved || {}) };
+  merged.captureSources = { ...DEFAULT_SETTINGS.captureSources, ...(saved?.captureSources || {}) };
+  merged.issueLevels = { ...DEFAULT_SETTINGS.issueLevels, ...(saved?.issueLevels || {}) };
+  merged.breadcrumbSources = { ...DEFAULT_SETTINGS.breadcrumbSources, ...(saved?.breadcrumbSources || {}) };
+  merged.badgeColors = { ...DEFAULT_SETTINGS.badgeColors, ...(saved?.badgeColors || {}) };
+  return merged;
+}
+
+/**
+ * AIプロンプトのテンプレートで使えるプレースホルダー
+ */
+const PROMPT_PLACEHOLDERS = {
+  log: "エラーの全情報（formatLog の出力）",
+  message: "エラーメッセージ",
+  level: "レベル",
+  source: "ソース",
+  url: "発生位置（URL:行:列）",
+  pageUrl: "発生したページのURL",
+  timestamp: "発生時刻",
+  stack: "スタックトレース",
+  network: "ネットワークの詳細",
+  sourceSnippet: "失敗した行の周辺のソースコード",
+  breadcrumbs: "エラーまでの操作の記録（ブレッドクラム）"
+};
+
+/**
+ * AIプロンプトのテンプレートのデフォルト値
+ * chrome.storage.sync の "promptTemplates" に保存された値で置き換えられる
+ * 
+ * include は、スタック・ネットワーク・ソースコード・ブレッドクラムをプロンプトに含めるかのデフォルト
+ */
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: "analyze-ja",
+    name: "エラー解析（日本語）",
+    body: "以下の、エラーを解析してほしい\n\n{{log}}",
+    include: { stack: true, network: true, sourceSnippet: true, breadcrumbs: true }
+  },
+  {
+    id: "root-cause-en",
+    name: "Root cause analysis (English)",
+    body: "Find the root cause of the following browser error and suggest a fix.\n\n" +
+      "Error: {{message}}\nLocation: {{url}}\nPage: {{pageUrl}}\n\n" +
+      "Stack trace:\n{{stack}}\n\nNetwork:\n{{network}}\n\nSource:\n{{sourceSnippet}}\n\n" +
+      "What happened before the error:\n{{breadcrumbs}}",
+    include: { stack: true, network: true, sourceSnippet: true, breadcrumbs: true }
+  },
+  {
+    id: "failing-test-ja",
+    name: "再現テストを書く",
+    body: "次のエラーを再現する失敗するテストを書いてほしい。修正はまだしないでください。\n\n" +
+      "エラー: {{message}}\n発生位置: {{url}}\n\nスタックトレース:\n{{stack}}\n\nソースコード:\n{{sourceSnippet}}\n\n" +
+      "エラーまでの操作:\n{{breadcrumbs}}",
+    include: { stack: true, network: false, sourceSnippet: true, breadcrumbs: true }
+  },
+  {
+    id: "explain-junior-ja",
+    name: "新人向けに説明",
+    body: "プログラミング初心者にもわかるように、次のエラーの意味とよくある原因を説明してほしい。\n\n" +
+      "エラー: {{message}}\nページ: {{pageUrl}}",
+    include: { stack: false, network: false, sourceSnippet: false, breadcrumbs: false }
+  }
+];